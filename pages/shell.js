@@ -0,0 +1,41 @@
+// Page shell: the server renders the nav and puts the signed-in user, preferred team and
+// theme in window.__BOOTSTRAP__ (null when logged out). Pages read it from shell.bootstrap
+// instead of fetching /api/me and /api/team themselves.
+(() => {
+  function applyTheme(theme) {
+    const root = document.documentElement;
+    if (theme?.primary) root.style.setProperty('--team-primary', theme.primary);
+    if (theme?.secondary) root.style.setProperty('--team-secondary', theme.secondary);
+  }
+
+  const shell = {
+    bootstrap: window.__BOOTSTRAP__ ?? null,
+
+    // Fetch the bootstrap again (e.g. after the team or username changed) and apply it
+    async refresh() {
+      const res = await fetch('/api/bootstrap', { credentials: 'include' });
+      if (!res.ok) throw new Error('Could not reload the page data');
+      shell.bootstrap = await res.json();
+      applyTheme(shell.bootstrap.theme);
+      const userEl = document.getElementById('user');
+      if (userEl) userEl.textContent = shell.bootstrap.user.username;
+      return shell.bootstrap;
+    },
+  };
+  window.shell = shell;
+
+  // dropdown toggle
+  const dropToggle = document.getElementById('user-btn');
+  const drop = document.getElementById('user-dropdown');
+  if (dropToggle && drop) {
+    dropToggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      drop.classList.toggle('open');
+    });
+    document.addEventListener('click', (e) => {
+      if (!drop.contains(e.target)) {
+        drop.classList.remove('open');
+      }
+    });
+  }
+})();
@@ -0,0 +1,28 @@
+// Service worker for Web Push notifications. Registered from the settings page.
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (err) {
+        data = { title: 'PlaybookNews', body: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'PlaybookNews', {
+        body: data.body || '',
+        data: { url: data.url || '/' }
+    }));
+});
+
+// Focus an open tab on the notification's page, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find((client) => client.url === url);
+        if (open) return open.focus();
+        return clients.openWindow(url);
+    })());
+});
@@ -0,0 +1,158 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { SESSIONS_COLLECTION, revokeAllSessions } from "./sessions.js";
+import { requestPasswordReset } from "./setReqs/resetPassword.js";
+import { normalizeUsername } from "./setReqs/createUser.js";
+
+// Users without a role field are plain users.
+export const ROLES = ["user", "admin"];
+const DEFAULT_SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+
+const USER_SUMMARY_PROJECTION = {
+  username: 1,
+  email: 1,
+  emailVerified: 1,
+  role: 1,
+  createdAt: 1,
+  disabledAt: 1,
+  disabledReason: 1,
+  mustResetPassword: 1,
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toUserSummary(user, activeSessions = 0) {
+  return {
+    id: String(user._id),
+    username: user.username,
+    email: user.email ?? null,
+    emailVerified: user.emailVerified === true,
+    role: user.role ?? "user",
+    createdAt: user.createdAt ?? null,
+    disabledAt: user.disabledAt ?? null,
+    disabledReason: user.disabledReason ?? null,
+    mustResetPassword: user.mustResetPassword === true,
+    activeSessions,
+  };
+}
+
+async function summarize(users) {
+  const counts = await getDB()
+    .collection(SESSIONS_COLLECTION)
+    .aggregate([
+      { $match: { userId: { $in: users.map((user) => user._id) }, revokedAt: null, expiresAt: { $gt: new Date() } } },
+      { $group: { _id: "$userId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  const byUser = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  return users.map((user) => toUserSummary(user, byUser.get(String(user._id)) ?? 0));
+}
+
+/**
+ * Promote the accounts named in ADMIN_USERNAMES (comma separated) at startup, which is
+ * how the first admin gets their role. Names that don't exist are ignored.
+ * Return: the number of accounts promoted.
+ */
+export async function promoteConfiguredAdmins(list = process.env.ADMIN_USERNAMES) {
+  const usernames = String(list ?? "").split(",").map(normalizeUsername).filter(Boolean);
+  if (usernames.length === 0) return 0;
+  const result = await getDB().collection("users").updateMany(
+    { username: { $in: usernames }, role: { $ne: "admin" } },
+    { $set: { role: "admin" } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Find users by username prefix or any part of their email, newest accounts first.
+ * An empty query lists everyone.
+ * Return: { users, total }
+ */
+export async function searchUsers({ q = "", limit, offset } = {}) {
+  const size = Math.min(MAX_SEARCH_LIMIT, Math.max(1, Number.parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT));
+  const skip = Math.max(0, Number.parseInt(offset, 10) || 0);
+  const term = typeof q === "string" ? q.trim().toLowerCase() : "";
+  const filter = {};
+  if (ObjectId.isValid(term) && term.length === 24) {
+    filter._id = new ObjectId(term);
+  } else if (term) {
+    filter.$or = [
+      { username: { $regex: `^${escapeRegex(term)}` } },
+      { email: { $regex: escapeRegex(term) } },
+    ];
+  }
+
+  const collection = getDB().collection("users");
+  const [users, total] = await Promise.all([
+    collection.find(filter, { projection: USER_SUMMARY_PROJECTION }).sort({ _id: -1 }).skip(skip).limit(size).toArray(),
+    collection.countDocuments(filter),
+  ]);
+  return { users: await summarize(users), total };
+}
+
+export async function getUserSummary(userId) {
+  const user = await getDB().collection("users").findOne({ _id: userId }, { projection: USER_SUMMARY_PROJECTION });
+  if (!user) return null;
+  const [summary] = await summarize([user]);
+  return summary;
+}
+
+/**
+ * Change a user's role and/or disabled state. Disabling signs the user out everywhere,
+ * and login refuses the account until it is enabled again.
+ * Return: the updated summary, { error } for bad input, or null for an unknown user.
+ */
+export async function updateUserAccess(userId, { role, disabled, reason } = {}) {
+  const set = {};
+  const unset = {};
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(", ")}` };
+    set.role = role;
+  }
+  if (disabled !== undefined) {
+    if (typeof disabled !== "boolean") return { error: "disabled must be true or false" };
+    if (disabled) {
+      set.disabledAt = new Date();
+      set.disabledReason = typeof reason === "string" && reason.trim() ? reason.trim().slice(0, 200) : null;
+    } else {
+      unset.disabledAt = "";
+      unset.disabledReason = "";
+    }
+  }
+  if (Object.keys(set).length === 0 && Object.keys(unset).length === 0) {
+    return { error: "Nothing to change (role or disabled)" };
+  }
+
+  const update = {};
+  if (Object.keys(set).length > 0) update.$set = set;
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+  const result = await getDB().collection("users").updateOne({ _id: userId }, update);
+  if (result.matchedCount === 0) return null;
+
+  if (disabled === true) {
+    await revokeAllSessions(userId, "disabled");
+  }
+  return await getUserSummary(userId);
+}
+
+/**
+ * Make the user pick a new password: every session is revoked, login is refused until
+ * the password is reset, and a reset link goes to their email.
+ * Return: { emailed } or null for an unknown user.
+ */
+export async function forcePasswordReset(userId) {
+  const user = await getDB().collection("users").findOneAndUpdate(
+    { _id: userId },
+    { $set: { mustResetPassword: true } },
+    { projection: { email: 1 } }
+  );
+  if (!user) return null;
+
+  await revokeAllSessions(userId, "admin-reset");
+  if (!user.email) return { emailed: false };
+  await requestPasswordReset(user.email);
+  return { emailed: true };
+}
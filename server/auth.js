@@ -1,73 +1,138 @@
 import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { ACCESS_TOKEN_TTL_MS, SESSION_IDLE_TTL_MS, getActiveSession, refreshSession } from "./sessions.js";
 
-// Require Auth Export Function
-// Brief: Validates jwt auth
-export function requireAuth(req, res, next) {
+const isProd = process.env.NODE_ENV === "production";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: isProd,
+  sameSite: "lax",
+  path: "/",
+};
+
+// Set Auth Cookies Export Function
+// Brief: `auth` holds the short-lived access token, `refresh` the rotating refresh token.
+// refreshToken is null when a request reused the previous refresh token inside its grace window;
+// the browser already has the newer one, so only the access cookie is replaced.
+export function setAuthCookies(res, { accessToken, refreshToken }) {
+  res.cookie("auth", accessToken, { ...cookieOptions, maxAge: ACCESS_TOKEN_TTL_MS });
+  if (refreshToken) {
+    res.cookie("refresh", refreshToken, { ...cookieOptions, maxAge: SESSION_IDLE_TTL_MS });
+  }
+}
+
+export function clearAuthCookies(res) {
+  res.clearCookie("auth", cookieOptions);
+  res.clearCookie("refresh", cookieOptions);
+}
+
+// authenticate Helper
+// Brief: Works out who is making the request. A valid access token must still belong to an
+// active session, so revoking a session locks it out immediately. With no (or an expired)
+// access token the refresh token is rotated and both cookies are replaced.
+// Return: { id, username, sessionId } or null when the request is not logged in
+async function authenticate(req, res) {
   const token = req.cookies?.auth;
+  const refreshToken = req.cookies?.refresh;
+  if (!token && !refreshToken) return null;
+
+  let decoded = null;
+  if (token) {
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null; // expired or tampered; try the refresh token below
+    }
+  }
+
+  if (decoded) {
+    // The session is the source of truth for the username, so a rename applies to every device
+    const session = await getActiveSession(decoded.sid, { ip: req.ip });
+    if (!session) {
+      clearAuthCookies(res);
+      return null;
+    }
+    return { id: String(session.userId), username: session.username, sessionId: String(session._id) };
+  }
 
+  const refreshed = await refreshSession(refreshToken, { ip: req.ip });
+  if (!refreshed) {
+    clearAuthCookies(res); // Get rid of invalid cookies
+    return null;
+  }
+  setAuthCookies(res, refreshed);
+  return { id: String(refreshed.session.userId), username: refreshed.session.username, sessionId: String(refreshed.session._id) };
+}
+
+// Require Auth Export Function
+// Brief: Validates the session behind the auth cookies
+export async function requireAuth(req, res, next) {
   // Edge case: No environment variable (it exists :) )
   if (!process.env.JWT_SECRET) {
     return res.status(500).json({ error: "Server misconfigured" });
   }
 
-  // Fail Case: No cookie to begin with
-  if (!token) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  try {
-    // If valid no errors should be thrown
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = {
-      id: decoded.userId,
-      username: decoded.username,
-    };
-    return next();
-  } catch (err) {
-    res.clearCookie("auth"); // Get rid of invalid cookie
+  const user = await authenticate(req, res);
+  // Fail Case: no cookies, or the session was revoked or expired
+  if (!user) {
     return res.status(401).json({ error: "Unauthorized" });
   }
+  req.user = user;
+  return next();
 }
 
 // Auth guard for pages: redirects to /login instead of returning JSON
-export function requireAuthPage(req, res, next) {
-    const token = req.cookies?.auth;
-    if (!token || !process.env.JWT_SECRET) {
+export async function requireAuthPage(req, res, next) {
+    if (!process.env.JWT_SECRET) {
         return res.redirect("/login");
     }
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = {
-            id: decoded.userId,
-            username: decoded.username,
-        };
-        return next();
-    } catch (err) {
-        res.clearCookie("auth");
+    const user = await authenticate(req, res);
+    if (!user) {
         return res.redirect("/login");
     }
+    req.user = user;
+    return next();
 }
 
-export function reverseAuthPage(req,res,next) {
-    const token = req.cookies?.auth;
-    if (!token || !process.env.JWT_SECRET) return next();
-    try {
-        jwt.verify(token, process.env.JWT_SECRET);
-        return res.redirect("/");
-    } catch (err) {
-        res.clearCookie("auth");
-        return next();
-    }
+// For pages anyone may see: sets req.user when the request is logged in, and carries on either way
+export async function optionalAuth(req, res, next) {
+    if (!process.env.JWT_SECRET) return next();
+    const user = await authenticate(req, res);
+    if (user) req.user = user;
+    return next();
+}
+
+export async function reverseAuthPage(req,res,next) {
+    if (!process.env.JWT_SECRET) return next();
+    const user = await authenticate(req, res);
+    if (!user) return next();
+    return res.redirect("/");
 }
 
 // For API routes: block access when already logged in
-export function reverseAuth(req, res, next) {
-  const token = req.cookies?.auth;
-  if (!token || !process.env.JWT_SECRET) return next();
+export async function reverseAuth(req, res, next) {
+  if (!process.env.JWT_SECRET) return next();
+  const user = await authenticate(req, res);
+  if (!user) return next();
+  return res.status(400).json({ error: "Already logged in" });
+}
+
+// Require Admin Export Function
+// Brief: Use after requireAuth. The role is read from the user document on every request,
+// so promoting or demoting someone takes effect straight away.
+export async function requireAdmin(req, res, next) {
   try {
-    jwt.verify(token, process.env.JWT_SECRET);
-    return res.status(400).json({ error: "Already logged in" });
-  } catch (err) {
-    res.clearCookie("auth");
+    const user = await getDB().collection("users").findOne(
+      { _id: new ObjectId(req.user?.id) },
+      { projection: { role: 1 } }
+    );
+    if (user?.role !== "admin") {
+      return res.status(403).json({ error: "Forbidden" });
+    }
     return next();
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
   }
 }
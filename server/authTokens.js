@@ -0,0 +1,80 @@
+import crypto from "crypto";
+import { getDB } from "./db.js";
+
+export const AUTH_TOKENS_COLLECTION = "authTokens";
+
+// How long each kind of emailed link stays valid.
+export const TOKEN_LIFETIMES = {
+  verifyEmail: 1000 * 60 * 60 * 24,
+  resetPassword: 1000 * 60 * 60,
+};
+
+function hashId(id) {
+  return crypto.createHash("sha256").update(id).digest("hex");
+}
+
+// HMAC over purpose and id, so a link for one purpose can't be replayed as another
+// and forged links are rejected before touching the database.
+function sign(purpose, id) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("JWT_SECRET is required to sign account tokens");
+  return crypto.createHmac("sha256", secret).update(`${purpose}.${id}`).digest("base64url");
+}
+
+function hasValidSignature(purpose, id, signature) {
+  const expected = Buffer.from(sign(purpose, id));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+export async function ensureAuthTokenIndexes() {
+  const collection = getDB().collection(AUTH_TOKENS_COLLECTION);
+  await Promise.all([
+    collection.createIndex({ tokenHash: 1 }, { unique: true }),
+    collection.createIndex({ userId: 1, purpose: 1 }),
+    collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+  ]);
+}
+
+/**
+ * Issue a signed, single-use token for `purpose` (a TOKEN_LIFETIMES key).
+ * Only a hash of the random part is stored, and earlier unused tokens of the same
+ * purpose are dropped so only the newest emailed link works.
+ * Return: the token to put in the link.
+ */
+export async function createAuthToken(userId, purpose) {
+  const lifetime = TOKEN_LIFETIMES[purpose];
+  if (!lifetime) throw new Error(`Unknown token purpose "${purpose}"`);
+
+  const id = crypto.randomBytes(32).toString("base64url");
+  const collection = getDB().collection(AUTH_TOKENS_COLLECTION);
+  await collection.deleteMany({ userId, purpose, usedAt: null });
+  await collection.insertOne({
+    tokenHash: hashId(id),
+    userId,
+    purpose,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + lifetime),
+    usedAt: null,
+  });
+  return `${id}.${sign(purpose, id)}`;
+}
+
+/**
+ * Redeem a token. The lookup and the "used" mark are one atomic update, so two
+ * requests with the same link can't both succeed.
+ * Return: the user id the token was issued for, or null when it is malformed,
+ * forged, expired or already used.
+ */
+export async function consumeAuthToken(token, purpose) {
+  if (typeof token !== "string" || !TOKEN_LIFETIMES[purpose]) return null;
+  const [id, signature, extra] = token.split(".");
+  if (!id || !signature || extra !== undefined || !hasValidSignature(purpose, id, signature)) return null;
+
+  const now = new Date();
+  const doc = await getDB().collection(AUTH_TOKENS_COLLECTION).findOneAndUpdate(
+    { tokenHash: hashId(id), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return doc?.userId ?? null;
+}
@@ -1,7 +1,318 @@
+import { addMetricsCollector, createCounter, createGauge } from "./metrics.js";
 
-export async function getCachedValue(_cacheKey, _ttlMs, loader) {
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Entries are kept in a Map so insertion order doubles as LRU order:
+// every read re-inserts the key, so the first key is always the least recently used.
+const entries = new Map();
+// Pending loads by key: { promise, current }. Invalidating a key clears `current`, so a
+// load that started before the invalidation finishes without storing its value.
+const inflight = new Map();
+const warming = new Map();
+const stats = { hits: 0, staleHits: 0, misses: 0, persistentHits: 0, evictions: 0 };
+
+let maxEntries = readMaxEntries();
+// Optional second tier ({ get, set, deleteByPrefix, delete }) shared between processes.
+let persistentTier = null;
+
+function readMaxEntries() {
+  const parsed = Number(process.env.CACHE_MAX_ENTRIES);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_ENTRIES;
+}
+
+/**
+ * Mark an entry as most recently used.
+ */
+function touch(cacheKey, entry) {
+  entries.delete(cacheKey);
+  entries.set(cacheKey, entry);
+}
+
+/**
+ * Drop least recently used entries until the cache fits in maxEntries.
+ */
+function evictOverflow() {
+  while (entries.size > maxEntries) {
+    const oldestKey = entries.keys().next().value;
+    entries.delete(oldestKey);
+    stats.evictions += 1;
+  }
+}
+
+function store(cacheKey, entry) {
+  touch(cacheKey, entry);
+  evictOverflow();
+}
+
+/**
+ * Read a key from the persistent tier. Tier failures behave like a miss.
+ */
+async function readTier(cacheKey) {
+  if (!persistentTier) return null;
+  try {
+    return await persistentTier.get(cacheKey);
+  } catch {
+    return null;
+  }
+}
+
+function writeTier(cacheKey, entry) {
+  if (!persistentTier) return;
+  Promise.resolve()
+    .then(() => persistentTier.set(cacheKey, entry))
+    .catch(() => {});
+}
+
+/**
+ * TTL options are milliseconds, or a function of the loaded value returning milliseconds.
+ */
+function toMs(option, value) {
+  const ms = typeof option === "function" ? option(value) : option;
+  return Math.max(0, Number(ms) || 0);
+}
+
+/**
+ * Run the loader once per key, even if many callers ask at the same time.
+ * null/undefined results are treated as failed loads and are not stored.
+ */
+function loadOnce(cacheKey, ttlMs, staleMs, loader) {
+  const pending = inflight.get(cacheKey);
+  if (pending) return pending.promise;
+
+  const load = { promise: null, current: true };
+  load.promise = (async () => {
+    try {
+      const value = await loader();
+      if (load.current && value !== null && value !== undefined) {
+        const now = Date.now();
+        const ttl = toMs(ttlMs, value);
+        const entry = {
+          value,
+          expiresAt: now + ttl,
+          staleUntil: now + ttl + toMs(staleMs, value),
+        };
+        store(cacheKey, entry);
+        writeTier(cacheKey, entry);
+      }
+      return value;
+    } finally {
+      if (inflight.get(cacheKey) === load) inflight.delete(cacheKey);
+    }
+  })();
+
+  inflight.set(cacheKey, load);
+  return load.promise;
+}
+
+/**
+ * Resolve a memory miss: try the persistent tier first, then fall back to the loader.
+ * A stale persisted value is served right away and refreshed in the background.
+ */
+function warmOnce(cacheKey, ttlMs, staleMs, loader) {
+  if (!persistentTier) return loadOnce(cacheKey, ttlMs, staleMs, loader);
+
+  const pending = warming.get(cacheKey);
+  if (pending) return pending.promise;
+
+  const warm = { promise: null, current: true };
+  warm.promise = (async () => {
+    try {
+      const persisted = await readTier(cacheKey);
+      const now = Date.now();
+      if (warm.current && persisted && now < persisted.staleUntil) {
+        stats.persistentHits += 1;
+        store(cacheKey, persisted);
+        if (now >= persisted.expiresAt) {
+          loadOnce(cacheKey, ttlMs, staleMs, loader).catch(() => {});
+        }
+        return persisted.value;
+      }
+      return await loadOnce(cacheKey, ttlMs, staleMs, loader);
+    } finally {
+      if (warming.get(cacheKey) === warm) warming.delete(cacheKey);
+    }
+  })();
+
+  warming.set(cacheKey, warm);
+  return warm.promise;
+}
+
+/**
+ * Return the cached value for `cacheKey`, calling `loader` when it is missing.
+ * Fresh entries are returned as-is. Expired entries still inside the stale window
+ * are returned immediately while one background refresh runs. Anything older is
+ * loaded before returning, checking the persistent tier (when one is set) before the
+ * loader. Concurrent loads of the same key share one loader call.
+ * `ttlMs` and `staleMs` may be functions of the loaded value, for data whose
+ * lifetime depends on what came back (e.g. a finished game never changes).
+ */
+export async function getCachedValue(cacheKey, ttlMs, loader, { staleMs = ttlMs } = {}) {
   if (typeof loader !== "function") {
-    throw new TypeError("getCachedValue not implemented yet, come back later!!!");
+    throw new TypeError("getCachedValue requires a loader function");
+  }
+  if (typeof cacheKey !== "string" || !cacheKey) {
+    throw new TypeError("getCachedValue requires a string cache key");
+  }
+
+  const safeTtl = typeof ttlMs === "function" ? ttlMs : toMs(ttlMs);
+  const safeStale = typeof staleMs === "function" ? staleMs : toMs(staleMs);
+  const entry = entries.get(cacheKey);
+  const now = Date.now();
+
+  if (entry && now < entry.expiresAt) {
+    stats.hits += 1;
+    touch(cacheKey, entry);
+    return entry.value;
   }
-  return await loader();
+
+  if (entry && now < entry.staleUntil) {
+    stats.staleHits += 1;
+    touch(cacheKey, entry);
+    // A failed refresh keeps serving the stale value until the stale window closes.
+    loadOnce(cacheKey, safeTtl, safeStale, loader).catch(() => {});
+    return entry.value;
+  }
+
+  stats.misses += 1;
+  return await warmOnce(cacheKey, safeTtl, safeStale, loader);
+}
+
+/**
+ * Call `loader` now and store what it returns, fresh or not, for background jobs that
+ * keep entries warm so requests never wait on a load. A refresh already running for
+ * the key is shared. Failures reject and leave the current entry alone.
+ */
+export async function refreshCachedValue(cacheKey, ttlMs, loader, { staleMs = ttlMs } = {}) {
+  if (typeof loader !== "function") {
+    throw new TypeError("refreshCachedValue requires a loader function");
+  }
+  if (typeof cacheKey !== "string" || !cacheKey) {
+    throw new TypeError("refreshCachedValue requires a string cache key");
+  }
+
+  const safeTtl = typeof ttlMs === "function" ? ttlMs : toMs(ttlMs);
+  const safeStale = typeof staleMs === "function" ? staleMs : toMs(staleMs);
+  return await loadOnce(cacheKey, safeTtl, safeStale, loader);
+}
+
+/**
+ * Read a key from memory without loading it. Stale values are returned too;
+ * returns undefined when the key is missing or past its stale window.
+ */
+export function peekCachedValue(cacheKey) {
+  const entry = entries.get(cacheKey);
+  if (!entry || Date.now() >= entry.staleUntil) return undefined;
+  return entry.value;
+}
+
+/**
+ * Remove cached entries from memory and the persistent tier. A trailing `*`
+ * matches by prefix (e.g. `espn:players:2025:*`), anything else must match the
+ * key exactly. Returns how many entries each tier dropped.
+ */
+export async function invalidateCache(pattern) {
+  const removed = { memory: 0, persistent: 0 };
+  if (typeof pattern !== "string" || !pattern) return removed;
+
+  const isPrefix = pattern.endsWith("*");
+  const prefix = isPrefix ? pattern.slice(0, -1) : pattern;
+  const matches = (cacheKey) => (isPrefix ? cacheKey.startsWith(prefix) : cacheKey === prefix);
+
+  removed.memory = dropFromMemory(matches);
+  if (persistentTier) {
+    removed.persistent = isPrefix
+      ? await persistentTier.deleteByPrefix(prefix)
+      : await persistentTier.delete(prefix);
+    // A load that began while the tier was being cleared may have read the old value back
+    dropFromMemory(matches);
+  }
+  return removed;
+}
+
+/**
+ * Remove matching entries from memory and stop pending loads of those keys from storing
+ * what they return. Return: how many entries were removed
+ */
+function dropFromMemory(matches) {
+  let count = 0;
+  for (const cacheKey of Array.from(entries.keys())) {
+    if (matches(cacheKey)) {
+      entries.delete(cacheKey);
+      count += 1;
+    }
+  }
+  for (const pending of [inflight, warming]) {
+    for (const [cacheKey, load] of Array.from(pending)) {
+      if (!matches(cacheKey)) continue;
+      load.current = false;
+      pending.delete(cacheKey);
+    }
+  }
+  return count;
+}
+
+/**
+ * Keys held in memory that start with `prefix`, with when they go stale and when they are dropped.
+ * The persistent tier is not listed; it holds the same keys for as long as their stale window.
+ */
+export function listCacheKeys(prefix = "") {
+  const now = Date.now();
+  const keys = [];
+  for (const [cacheKey, entry] of entries) {
+    if (!cacheKey.startsWith(prefix) || now >= entry.staleUntil) continue;
+    keys.push({
+      key: cacheKey,
+      state: now < entry.expiresAt ? "fresh" : "stale",
+      expiresAt: new Date(entry.expiresAt),
+      staleUntil: new Date(entry.staleUntil),
+    });
+  }
+  return keys.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Snapshot of cache counters for diagnostics.
+ */
+export function getCacheStats() {
+  const lookups = stats.hits + stats.staleHits + stats.misses;
+  return {
+    ...stats,
+    size: entries.size,
+    maxEntries,
+    inflight: inflight.size,
+    persistent: persistentTier !== null,
+    hitRatio: lookups > 0 ? (stats.hits + stats.staleHits) / lookups : 0,
+  };
+}
+
+const cacheLookups = createCounter("cache_lookups_total", "Cache lookups since start by result (hit, stale, miss, persistent).");
+const cacheHitRatio = createGauge("cache_hit_ratio", "Share of lookups answered from memory, fresh or stale.");
+const cacheEntries = createGauge("cache_entries", "Entries held in memory.");
+addMetricsCollector(() => {
+  const current = getCacheStats();
+  cacheLookups.set({ result: "hit" }, current.hits);
+  cacheLookups.set({ result: "stale" }, current.staleHits);
+  cacheLookups.set({ result: "miss" }, current.misses);
+  cacheLookups.set({ result: "persistent" }, current.persistentHits);
+  cacheHitRatio.set({}, current.hitRatio);
+  cacheEntries.set({}, current.size);
+});
+
+/**
+ * Change the LRU capacity at runtime; evicts immediately if the cache is over the new limit.
+ */
+export function setCacheMaxEntries(limit) {
+  const parsed = Number(limit);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new TypeError("Cache size must be a positive integer");
+  }
+  maxEntries = parsed;
+  evictOverflow();
+}
+
+/**
+ * Install (or remove with null) the shared second tier consulted on memory misses.
+ */
+export function setPersistentCacheTier(tier) {
+  persistentTier = tier ?? null;
 }
@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import { getDB } from "./db.js";
+import { getPreferredData } from "./preferredData.js";
+import { getAllTeams } from "./teamData.js";
+import { getCurrentSeason, SEASON_TYPES } from "./season.js";
+
+// Games have no scheduled end; this covers a regulation game with broadcast padding.
+const GAME_LENGTH_MS = 1000 * 60 * 210;
+// How often calendar apps should re-fetch the feed. Matches the schedule cache, so flexed kickoffs show up within a refresh.
+const REFRESH_INTERVAL = "PT6H";
+const UID_DOMAIN = "playbooknews";
+const MAX_LINE_OCTETS = 75;
+const WEEK_LABELS = { pre: "Preseason week", regular: "Week", post: "Postseason week" };
+const EVENT_REVISIONS_COLLECTION = "calendarEvents";
+// Revisions only need to outlive the season their game is in.
+const EVENT_REVISION_RETENTION_SECONDS = 60 * 60 * 24 * 400;
+
+export function createCalendarToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+export function isValidCalendarToken(token) {
+  return typeof token === "string" && /^[a-f0-9]{48}$/.test(token);
+}
+
+export async function ensureCalendarIndex() {
+  await Promise.all([
+    getDB().collection("users").createIndex({ calendarToken: 1 }, { unique: true, sparse: true }),
+    getDB().collection(EVENT_REVISIONS_COLLECTION).createIndex({ modifiedAt: 1 }, { expireAfterSeconds: EVENT_REVISION_RETENTION_SECONDS }),
+  ]);
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11).
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Split a content line into 75-octet pieces joined by CRLF + space (RFC 5545 3.1),
+ * never cutting through a multi-byte character.
+ */
+function foldLine(line) {
+  const pieces = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward their limit.
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+  return pieces.join("\r\n ");
+}
+
+// 2025-09-07T17:00Z -> 20250907T170000Z
+function toIcsDate(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function gameResult(game) {
+  if (!game.completed || !Number.isFinite(game.teamScore) || !Number.isFinite(game.opponentScore)) return null;
+  const result = game.teamScore > game.opponentScore ? "W" : game.teamScore < game.opponentScore ? "L" : "T";
+  return `${result} ${game.teamScore}-${game.opponentScore}`;
+}
+
+/**
+ * VEVENT lines for one schedule row of `team`. The UID is the ESPN event id, so a game
+ * both followed teams play appears once and calendar apps move it in place when it is flexed.
+ * SEQUENCE and LAST-MODIFIED are added later by stampRevisions.
+ * Return: an array of unfolded lines, or null when the row has no event id or kickoff.
+ */
+function toEvent(game, team, opponent, seasonType, stamp) {
+  const kickoff = new Date(game.dateTime).getTime();
+  if (!game.eventId || !Number.isFinite(kickoff)) return null;
+
+  const home = game.homeAway === "Home" ? team : opponent;
+  const opponentName = opponent?.name ?? game.opponent;
+  const summary = game.homeAway === "Home" ? `${team.name} vs ${opponentName}` : `${team.name} at ${opponentName}`;
+
+  const details = [];
+  if (game.week !== null) details.push(`${WEEK_LABELS[seasonType]} ${game.week}`);
+  if (game.channel && game.channel !== "--") details.push(`TV: ${game.channel}`);
+  const result = gameResult(game);
+  if (result) details.push(`Final: ${result}`);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${game.eventId}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${toIcsDate(kickoff)}`,
+    `DTEND:${toIcsDate(kickoff + GAME_LENGTH_MS)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (home?.stadium) lines.push(`LOCATION:${escapeText(`${home.stadium}, ${home.city}`)}`);
+  if (details.length > 0) lines.push(`DESCRIPTION:${escapeText(details.join("\n"))}`);
+  lines.push(`STATUS:${/postpone|cancel/i.test(game.status ?? "") ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Give each event the SEQUENCE and LAST-MODIFIED calendar apps use to tell an update
+ * from a repeat. Each revision is stored under the event id and the team whose view it
+ * is written from, with a hash of its lines (DTSTAMP aside, which changes on every build).
+ * A new hash bumps the sequence; the update only applies while the old hash is still
+ * stored, so concurrent builds of the same change bump it once.
+ */
+async function stampRevisions(events, now) {
+  const collection = getDB().collection(EVENT_REVISIONS_COLLECTION);
+  const hashes = new Map();
+  for (const [id, lines] of events) {
+    const content = lines.filter((line) => !line.startsWith("DTSTAMP:")).join("\n");
+    hashes.set(id, crypto.createHash("sha1").update(content).digest("hex"));
+  }
+
+  const ids = Array.from(events.keys());
+  const stored = new Map((await collection.find({ _id: { $in: ids } }).toArray()).map((doc) => [doc._id, doc]));
+  const writes = [];
+  for (const [id, hash] of hashes) {
+    const previous = stored.get(id);
+    if (!previous) {
+      writes.push({ updateOne: { filter: { _id: id }, update: { $setOnInsert: { hash, sequence: 0, modifiedAt: now } }, upsert: true } });
+    } else if (previous.hash !== hash) {
+      writes.push({ updateOne: { filter: { _id: id, hash: previous.hash }, update: { $set: { hash, modifiedAt: now }, $inc: { sequence: 1 } } } });
+    }
+  }
+  if (writes.length > 0) {
+    await collection.bulkWrite(writes, { ordered: false });
+    for (const doc of await collection.find({ _id: { $in: writes.map((write) => write.updateOne.filter._id) } }).toArray()) {
+      stored.set(doc._id, doc);
+    }
+  }
+
+  for (const [id, lines] of events) {
+    const revision = stored.get(id);
+    const at = lines.findIndex((line) => line.startsWith("DTSTAMP:")) + 1;
+    lines.splice(at, 0, `SEQUENCE:${revision?.sequence ?? 0}`, `LAST-MODIFIED:${toIcsDate(revision?.modifiedAt ?? now)}`);
+  }
+}
+
+/**
+ * Render every game of the current season (preseason through playoffs) for the given
+ * followed teams as an iCalendar document, using the cached ESPN schedules.
+ * `teamKeys` are preference keys; unknown keys are skipped.
+ * A schedule ESPN failed to send fails the whole calendar: calendar apps replace their
+ * copy with each fetch, so a feed missing those games would delete them from it.
+ * Return: { ok: true, data } with the calendar as a CRLF-delimited string, or
+ * { ok: false, error: { reason, message, retryAfter? } } from the first failed schedule.
+ */
+export async function buildTeamCalendar(teamKeys, now = new Date()) {
+  const { season } = getCurrentSeason(now);
+  const teams = await getAllTeams();
+  const followed = teamKeys.map((key) => teams.find((team) => team.key === key)).filter(Boolean);
+  const stamp = toIcsDate(now);
+
+  // Keyed by `${eventId}:${teamId}` for revisions; a game both followed teams play appears once
+  const events = new Map();
+  const seen = new Set();
+  for (const team of followed) {
+    for (const seasonType of Object.keys(SEASON_TYPES)) {
+      const { schedule, errors } = await getPreferredData({ team, season, seasonType, include: new Set(["schedule"]) });
+      if (errors.schedule) return { ok: false, error: errors.schedule };
+      for (const game of schedule ?? []) {
+        if (seen.has(game.eventId)) continue;
+        const opponent = teams.find((candidate) => Number(candidate.id) === game.opponentId) ?? null;
+        const event = toEvent(game, team, opponent, seasonType, stamp);
+        if (!event) continue;
+        seen.add(game.eventId);
+        events.set(`${game.eventId}:${team.id}`, event);
+      }
+    }
+  }
+  if (events.size > 0) await stampRevisions(events, now);
+
+  const name = followed.length === 1 ? `${followed[0].name} schedule` : "PlaybookNews schedule";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PlaybookNews//Team Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...Array.from(events.values()).flat(),
+    "END:VCALENDAR",
+  ];
+  return { ok: true, data: lines.map(foldLine).join("\r\n") + "\r\n" };
+}
@@ -0,0 +1,228 @@
+import { getCachedValue } from "./cache.js";
+import { fetchTeamStatCategories } from "./fetch.js";
+import { getPreferredData } from "./preferredData.js";
+import { getStandings } from "./standings.js";
+import { getAllTeams } from "./teamData.js";
+import { getCurrentSeason, SEASON_TYPES } from "./season.js";
+import { UpstreamError } from "./upstreamClient.js";
+
+const CACHE_TTL = {
+  statCategories: 1000 * 60 * 30,
+  league: 1000 * 60 * 30,
+};
+// A table missing some teams or weeks is kept only briefly, so it fills in once ESPN recovers
+const DEGRADED_LEAGUE_TTL = 1000 * 60;
+const STATS_FETCH_BATCH = 8;
+// Percentile gap between one side's unit and the other's before a matchup counts as an edge.
+const MATCHUP_EDGE = 20;
+// A game that kicked off within this window still counts as the "next" one.
+const IN_PROGRESS_WINDOW_MS = 1000 * 60 * 60 * 4;
+
+export const MIN_COMPARE_TEAMS = 2;
+export const MAX_COMPARE_TEAMS = 4;
+
+function stat(map, ...names) {
+  for (const name of names) {
+    const value = map?.[name];
+    if (typeof value === "number" && Number.isFinite(value)) return value;
+  }
+  return null;
+}
+
+function perGame(total, games) {
+  return total !== null && games > 0 ? total / games : null;
+}
+
+// `better` says which direction ranks first. Values read from { team, opponent, games, record }.
+const METRICS = [
+  { id: "pointsPerGame", label: "Points per Game", group: "offense", better: "higher", value: ({ record, games }) => perGame(record?.pointsFor ?? null, games) },
+  { id: "passingYardsPerGame", label: "Passing Yards per Game", group: "offense", better: "higher", value: ({ team, games }) => stat(team.passing, "netPassingYardsPerGame", "passingYardsPerGame") ?? perGame(stat(team.passing, "netPassingYards", "passingYards"), games) },
+  { id: "rushingYardsPerGame", label: "Rushing Yards per Game", group: "offense", better: "higher", value: ({ team, games }) => stat(team.rushing, "rushingYardsPerGame") ?? perGame(stat(team.rushing, "rushingYards"), games) },
+  { id: "yardsPerPassAttempt", label: "Yards per Pass Attempt", group: "offense", better: "higher", value: ({ team }) => stat(team.passing, "yardsPerPassAttempt", "netYardsPerPassAttempt") },
+  { id: "yardsPerRushAttempt", label: "Yards per Rush Attempt", group: "offense", better: "higher", value: ({ team }) => stat(team.rushing, "yardsPerRushAttempt") },
+  { id: "completionPct", label: "Completion Percentage", group: "offense", better: "higher", value: ({ team }) => stat(team.passing, "completionPct") },
+  { id: "thirdDownPct", label: "Third Down %", group: "offense", better: "higher", value: ({ team }) => stat(team.miscellaneous, "thirdDownConvPct") },
+  { id: "redZonePct", label: "Red Zone Scoring %", group: "offense", better: "higher", value: ({ team }) => stat(team.miscellaneous, "redzoneScoringPct") },
+  {
+    id: "giveaways",
+    label: "Giveaways",
+    group: "offense",
+    better: "lower",
+    value: ({ team }) => {
+      const giveaways = stat(team.miscellaneous, "totalGiveaways", "giveaways");
+      if (giveaways !== null) return giveaways;
+      const interceptions = stat(team.passing, "interceptions");
+      const fumbles = stat(team.miscellaneous, "fumblesLost") ?? stat(team.rushing, "rushingFumblesLost");
+      return interceptions === null && fumbles === null ? null : (interceptions ?? 0) + (fumbles ?? 0);
+    },
+  },
+  { id: "pointsAllowedPerGame", label: "Points Allowed per Game", group: "defense", better: "lower", value: ({ record, games }) => perGame(record?.pointsAgainst ?? null, games) },
+  { id: "passingYardsAllowedPerGame", label: "Passing Yards Allowed per Game", group: "defense", better: "lower", value: ({ opponent, games }) => stat(opponent?.passing, "netPassingYardsPerGame", "passingYardsPerGame") ?? perGame(stat(opponent?.passing, "netPassingYards", "passingYards"), games) },
+  { id: "rushingYardsAllowedPerGame", label: "Rushing Yards Allowed per Game", group: "defense", better: "lower", value: ({ opponent, games }) => stat(opponent?.rushing, "rushingYardsPerGame") ?? perGame(stat(opponent?.rushing, "rushingYards"), games) },
+  { id: "sacks", label: "Sacks", group: "defense", better: "higher", value: ({ team }) => stat(team.defensive, "sacks") },
+  { id: "takeaways", label: "Takeaways", group: "defense", better: "higher", value: ({ team }) => stat(team.miscellaneous, "totalTakeaways", "takeaways") ?? stat(team.defensiveInterceptions, "interceptions") },
+];
+
+// Pairs of (our unit, their unit) to check before a game. Our unit is measured on our
+// team, theirs on the opponent; both are compared as percentiles so "good" is always high.
+const MATCHUPS = [
+  { label: "Pass offense vs pass defense", side: "offense", ours: "passingYardsPerGame", theirs: "passingYardsAllowedPerGame" },
+  { label: "Rush offense vs rush defense", side: "offense", ours: "rushingYardsPerGame", theirs: "rushingYardsAllowedPerGame" },
+  { label: "Scoring offense vs scoring defense", side: "offense", ours: "pointsPerGame", theirs: "pointsAllowedPerGame" },
+  { label: "Ball security vs takeaways", side: "offense", ours: "giveaways", theirs: "takeaways" },
+  { label: "Pass defense vs pass offense", side: "defense", ours: "passingYardsAllowedPerGame", theirs: "passingYardsPerGame" },
+  { label: "Rush defense vs rush offense", side: "defense", ours: "rushingYardsAllowedPerGame", theirs: "rushingYardsPerGame" },
+];
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// One team's stat categories, or null when ESPN has none. Throws UpstreamError when ESPN fails, so nothing is cached.
+function loadStatCategories(teamId, season, seasonType) {
+  return getCachedValue(`espn:statCategories:${season}:${seasonType}:${teamId}`, CACHE_TTL.statCategories, async () => {
+    const result = await fetchTeamStatCategories(teamId, season, seasonType);
+    if (!result.ok) throw new UpstreamError(result.error);
+    return result.data;
+  });
+}
+
+/**
+ * League rank (1 = best, ties share a rank) and percentile (100 = best, 0 = worst)
+ * for every team with a value. Teams without a value get null.
+ */
+function rankMetric(metric, valuesByKey) {
+  const present = Object.entries(valuesByKey).filter(([, value]) => value !== null);
+  const sign = metric.better === "lower" ? -1 : 1;
+  const out = {};
+  for (const [key, value] of Object.entries(valuesByKey)) {
+    if (value === null) {
+      out[key] = { value: null, rank: null, percentile: null };
+      continue;
+    }
+    const rank = 1 + present.filter(([, other]) => sign * other > sign * value).length;
+    const percentile = present.length > 1 ? Math.round((100 * (present.length - rank)) / (present.length - 1)) : 100;
+    out[key] = { value: round(value), rank, percentile };
+  }
+  return out;
+}
+
+/**
+ * Every metric for all 32 teams with league ranks, cached per season.
+ * When ESPN failed some teams' stats or some standings weeks, ranks cover only what loaded:
+ * the table has `degraded: true`, the teams in `missingTeams`, and is cached for a minute.
+ * Return: { season, seasonType, teamCount, degraded, missingTeams, missingWeeks,
+ *   teams: { [key]: { [metricId]: { value, rank, percentile } } } }
+ */
+export async function getLeagueStatTable({ season = getCurrentSeason().season, seasonType = "regular" } = {}) {
+  const safeType = Object.prototype.hasOwnProperty.call(SEASON_TYPES, seasonType) ? seasonType : "regular";
+  const ttl = (table) => (table.degraded ? DEGRADED_LEAGUE_TTL : CACHE_TTL.league);
+
+  return await getCachedValue(`compare:league:${season}:${safeType}`, ttl, async () => {
+    const [teams, standings] = await Promise.all([getAllTeams(), getStandings({ season, seasonType: safeType })]);
+    const records = new Map(standings.divisions.flatMap((division) => division.teams).map((row) => [row.key, row]));
+
+    // ESPN is asked for a handful of teams at a time rather than all 32 at once.
+    const categories = [];
+    const missingTeams = [];
+    for (let i = 0; i < teams.length; i += STATS_FETCH_BATCH) {
+      const batch = teams.slice(i, i + STATS_FETCH_BATCH);
+      categories.push(...(await Promise.all(batch.map((team) => loadStatCategories(Number(team.id), season, safeType).catch((err) => {
+        if (!(err instanceof UpstreamError)) throw err;
+        missingTeams.push(team.key);
+        return null;
+      })))));
+    }
+
+    const valuesByMetric = Object.fromEntries(METRICS.map((metric) => [metric.id, {}]));
+    teams.forEach((team, i) => {
+      const record = records.get(team.key) ?? null;
+      const entry = {
+        team: categories[i]?.team ?? {},
+        opponent: categories[i]?.opponent ?? null,
+        record,
+        games: record ? record.wins + record.losses + record.ties : 0,
+      };
+      for (const metric of METRICS) {
+        const value = metric.value(entry);
+        valuesByMetric[metric.id][team.key] = Number.isFinite(value) ? value : null;
+      }
+    });
+
+    const table = Object.fromEntries(teams.map((team) => [team.key, {}]));
+    for (const metric of METRICS) {
+      const ranked = rankMetric(metric, valuesByMetric[metric.id]);
+      for (const [key, cell] of Object.entries(ranked)) table[key][metric.id] = cell;
+    }
+
+    return {
+      season,
+      seasonType: safeType,
+      teamCount: teams.length,
+      degraded: missingTeams.length > 0 || standings.degraded,
+      missingTeams,
+      missingWeeks: standings.missingWeeks,
+      teams: table,
+    };
+  });
+}
+
+/**
+ * Side-by-side view of two to four teams: one row per metric with each team's value, rank and percentile.
+ */
+export function compareTeams(table, teamKeys) {
+  return METRICS.map((metric) => ({
+    id: metric.id,
+    label: metric.label,
+    group: metric.group,
+    better: metric.better,
+    teams: Object.fromEntries(teamKeys.map((key) => [key, table.teams[key]?.[metric.id] ?? { value: null, rank: null, percentile: null }])),
+  }));
+}
+
+/**
+ * Favourable / unfavourable units for `teamKey` against `opponentKey`, strongest edges first.
+ */
+export function suggestMatchups(table, teamKey, opponentKey) {
+  const ours = table.teams[teamKey] ?? {};
+  const theirs = table.teams[opponentKey] ?? {};
+  const labels = Object.fromEntries(METRICS.map((metric) => [metric.id, metric.label]));
+
+  return MATCHUPS.map((matchup) => {
+    const our = ours[matchup.ours];
+    const their = theirs[matchup.theirs];
+    if (our?.percentile == null || their?.percentile == null) return null;
+    const edge = our.percentile - their.percentile;
+    return {
+      label: matchup.label,
+      side: matchup.side,
+      team: { metric: labels[matchup.ours], ...our },
+      opponent: { metric: labels[matchup.theirs], ...their },
+      edge,
+      verdict: edge >= MATCHUP_EDGE ? "favourable" : edge <= -MATCHUP_EDGE ? "unfavourable" : "even",
+    };
+  })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(b.edge) - Math.abs(a.edge));
+}
+
+/**
+ * The team's next game that has not finished, from the cached schedule for the current season.
+ * Return: { opponentKey, eventId, dateTime, homeAway } or null
+ */
+export async function getNextOpponent(team, now = Date.now()) {
+  if (!team?.id) return null;
+  const { season, seasonType } = getCurrentSeason(new Date(now));
+  const { schedule } = await getPreferredData({ team, season, seasonType, include: new Set(["schedule"]) });
+
+  const next = (schedule ?? []).find((game) => {
+    const kickoff = new Date(game.dateTime).getTime();
+    return !game.completed && game.opponentId !== null && Number.isFinite(kickoff) && kickoff > now - IN_PROGRESS_WINDOW_MS;
+  });
+  if (!next) return null;
+
+  const teams = await getAllTeams();
+  const opponent = teams.find((candidate) => Number(candidate.id) === next.opponentId);
+  if (!opponent) return null;
+  return { opponentKey: opponent.key, eventId: next.eventId, dateTime: next.dateTime, homeAway: next.homeAway };
+}
@@ -1,5 +1,6 @@
 import { MongoClient } from "mongodb";
 import dotenv from "dotenv";
+import { logger } from "./logger.js";
 
 dotenv.config();
 
@@ -18,7 +19,7 @@ export async function connectDB() {
 
   db = client.db(dbName);
 
-  console.log(`Connected to database ${dbName}`);
+  logger.info("Connected to database", { dbName });
   return db;
 }
 
@@ -26,3 +27,33 @@ export function getDB() {
   if (!db) throw new Error("must connect to DB first");
   return db;
 }
+
+export async function closeDB() {
+  if (!client) return;
+  await client.close();
+  client = undefined;
+  db = undefined;
+}
+
+/**
+ * Round-trip a ping to Mongo, giving up after `timeoutMs`.
+ * Return: { ok: true, latencyMs } or { ok: false, error }
+ */
+export async function pingDB({ timeoutMs = 2000 } = {}) {
+  if (!db) return { ok: false, error: "not connected" };
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      db.command({ ping: 1 }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`ping timed out after ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,87 @@
+// Points awarded per unit of each normalized player stat (see normalizePlayer in fetch.js).
+// Yardage is per yard, so 0.04 means one point every 25 passing yards.
+const STANDARD_RULES = {
+  passingYards: 0.04,
+  passingTouchdowns: 4,
+  interceptionsThrown: -2,
+  rushingYards: 0.1,
+  rushingTouchdowns: 6,
+  receptions: 0,
+  receivingYards: 0.1,
+  receivingTouchdowns: 6,
+  fumblesLost: -2,
+  twoPointConversions: 2,
+  tackles: 0,
+  sacks: 0,
+  interceptions: 0,
+};
+
+export const SCORING_FORMATS = {
+  standard: { label: "Standard", rules: STANDARD_RULES },
+  halfPpr: { label: "Half-PPR", rules: { ...STANDARD_RULES, receptions: 0.5 } },
+  ppr: { label: "PPR", rules: { ...STANDARD_RULES, receptions: 1 } },
+};
+
+export const DEFAULT_SCORING_FORMAT = "standard";
+export const SCORING_STATS = Object.keys(STANDARD_RULES);
+
+const MAX_RULE_VALUE = 100;
+
+/**
+ * Fantasy points for one normalized player, rounded to two decimals.
+ */
+export function computeFantasyPoints(player, rules = STANDARD_RULES) {
+  let total = 0;
+  for (const stat of SCORING_STATS) {
+    const value = Number(player?.[stat]);
+    const weight = Number(rules?.[stat]);
+    if (Number.isFinite(value) && Number.isFinite(weight)) {
+      total += value * weight;
+    }
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Validate user-defined rules. Missing stats fall back to Standard scoring.
+ * Return: { rules } when valid, { error } otherwise.
+ */
+export function validateCustomRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return { error: "Custom scoring rules must be an object" };
+  }
+  const out = {};
+  for (const [stat, value] of Object.entries(rules)) {
+    if (!SCORING_STATS.includes(stat)) {
+      return { error: `Unknown scoring stat: ${stat}` };
+    }
+    const num = Number(value);
+    if (typeof value === "boolean" || value === null || value === "" || !Number.isFinite(num) || Math.abs(num) > MAX_RULE_VALUE) {
+      return { error: `Scoring value for ${stat} must be a number between -${MAX_RULE_VALUE} and ${MAX_RULE_VALUE}` };
+    }
+    out[stat] = num;
+  }
+  return { rules: out };
+}
+
+/**
+ * Pick the scoring format stored in a user's preferences.
+ * Return: { format, label, rules } with custom rules layered over Standard.
+ */
+export function resolveScoring(preferences = {}) {
+  const format = preferences.fantasyFormat;
+  if (format === "custom") {
+    const { rules } = validateCustomRules(preferences.fantasyCustomRules ?? {});
+    return { format, label: "Custom", rules: { ...STANDARD_RULES, ...(rules ?? {}) } };
+  }
+  const known = SCORING_FORMATS[format] ? format : DEFAULT_SCORING_FORMAT;
+  return { format: known, ...SCORING_FORMATS[known] };
+}
+
+/**
+ * Re-score a player list with the given rules without mutating the cached objects.
+ */
+export function applyFantasyScoring(players, rules) {
+  if (!Array.isArray(players)) return players;
+  return players.map((player) => ({ ...player, fantasyPoints: computeFantasyPoints(player, rules) }));
+}
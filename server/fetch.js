@@ -1,20 +1,195 @@
-const ESPN_SITE_BASE = "https://site.api.espn.com/apis/site/v2/sports/football/nfl";
-const ESPN_COMMON_BASE = "https://site.api.espn.com/apis/common/v3/sports/football/nfl";
-const DEFAULT_SEASON = 2025;
+import { readFixture, writeFixture } from "./fixtures.js";
+import { computeFantasyPoints } from "./fantasy.js";
+import { getCurrentSeason, toEspnSeasonType } from "./season.js";
+import { logger } from "./logger.js";
+import { createCounter, createHistogram } from "./metrics.js";
+import { getCircuitStates, requestJson } from "./upstreamClient.js";
+
+const DEFAULT_ESPN_ORIGIN = "https://site.api.espn.com";
+const ESPN_SITE_PATH = "/apis/site/v2/sports/football/nfl";
+const ESPN_COMMON_PATH = "/apis/common/v3/sports/football/nfl";
 const PLAYER_FETCH_CONCURRENCY = 8;
+const UPSTREAM_MODES = new Set(["live", "record", "replay"]);
+// Request outcomes are kept per minute for this long, for the admin console's error rates
+const STATS_WINDOW_MINUTES = 60;
+
+// live: call ESPN. record: call ESPN and save each response as a fixture.
+// replay: serve only from fixtures, never touching the network.
+const upstream = {
+  mode: "live",
+  origin: DEFAULT_ESPN_ORIGIN,
+  fixturesDir: undefined,
+  timeoutMs: 8000,
+  retries: 2,
+};
+configureUpstream({
+  mode: process.env.ESPN_MODE,
+  origin: process.env.ESPN_BASE_URL,
+  fixturesDir: process.env.ESPN_FIXTURES_DIR,
+  timeoutMs: process.env.ESPN_TIMEOUT_MS,
+  retries: process.env.ESPN_RETRIES,
+});
+
+/**
+ * Change where ESPN data comes from. Unset fields keep their current value.
+ * `origin` lets the client point at a local mock server instead of ESPN.
+ * `timeoutMs` bounds each attempt; `retries` is how many more attempts follow a
+ * timeout, 429 or 5xx.
+ */
+export function configureUpstream({ mode, origin, fixturesDir, timeoutMs, retries } = {}) {
+  if (mode !== undefined && mode !== "") {
+    const normalized = String(mode).trim().toLowerCase();
+    if (!UPSTREAM_MODES.has(normalized)) {
+      throw new Error(`Unknown ESPN_MODE "${mode}". Use live, record or replay.`);
+    }
+    upstream.mode = normalized;
+  }
+  if (origin) {
+    upstream.origin = String(origin).replace(/\/+$/, "");
+  }
+  if (fixturesDir) {
+    upstream.fixturesDir = fixturesDir;
+  }
+  if (timeoutMs !== undefined && timeoutMs !== "") {
+    const parsed = Number(timeoutMs);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      throw new Error(`ESPN_TIMEOUT_MS must be a positive number of milliseconds, got "${timeoutMs}".`);
+    }
+    upstream.timeoutMs = parsed;
+  }
+  if (retries !== undefined && retries !== "") {
+    const parsed = Number(retries);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+      throw new Error(`ESPN_RETRIES must be a whole number of at least 0, got "${retries}".`);
+    }
+    upstream.retries = parsed;
+  }
+  return getUpstreamConfig();
+}
+
+export function getUpstreamConfig() {
+  return { ...upstream };
+}
+
+const espnRequests = createCounter("espn_requests_total", "ESPN API attempts by endpoint and outcome (ok, http_error, invalid_body, network_error, timeout).");
+const espnDuration = createHistogram("espn_request_duration_seconds", "ESPN API call latency by endpoint.");
+
+// minute index -> Map(endpoint -> { requests, failures })
+const statsBuckets = new Map();
+let lastUpstreamError = null;
 
 /**
- * Fetch JSON from ESPN public APIs.
- * Returns null when the request fails.
+ * Group URLs by endpoint with ids folded away, e.g. /teams/:id/schedule.
+ */
+function endpointLabel(url) {
+  const { pathname } = new URL(url);
+  const relative = pathname.replace(ESPN_SITE_PATH, "").replace(ESPN_COMMON_PATH, "");
+  return relative.replace(/\/\d+(?=\/|$)/g, "/:id") || "/";
+}
+
+function outcomeLabel(kind) {
+  if (kind === "timeout" || kind === "invalid_body") return kind;
+  return kind === "network" ? "network_error" : "http_error";
+}
+
+function recordUpstream(url, { ok, status = null, kind = null, message = null, seconds = null, attempt = 1 }) {
+  const endpoint = endpointLabel(url);
+  espnRequests.inc({ endpoint, outcome: ok ? "ok" : outcomeLabel(kind) });
+  if (seconds !== null) espnDuration.observe({ endpoint }, seconds);
+  if (!ok) {
+    logger.warn("ESPN request failed", { endpoint, url, status, kind, attempt, error: message, durationMs: seconds === null ? null : Math.round(seconds * 1000) });
+  }
+
+  const minute = Math.floor(Date.now() / 60000);
+  for (const key of statsBuckets.keys()) {
+    if (key <= minute - STATS_WINDOW_MINUTES) statsBuckets.delete(key);
+  }
+
+  const bucket = statsBuckets.get(minute) ?? new Map();
+  statsBuckets.set(minute, bucket);
+  const counts = bucket.get(endpoint) ?? { requests: 0, failures: 0 };
+  counts.requests += 1;
+  if (!ok) {
+    counts.failures += 1;
+    lastUpstreamError = { endpoint, url, status, kind, message, at: new Date() };
+  }
+  bucket.set(endpoint, counts);
+}
+
+/**
+ * ESPN attempt and failure counts over the last hour, overall and per endpoint
+ * (busiest first), plus the circuit breaker state of each host called.
+ * Replay mode never reaches ESPN, so it records nothing.
+ */
+export function getUpstreamStats() {
+  const oldest = Math.floor(Date.now() / 60000) - STATS_WINDOW_MINUTES;
+  const byEndpoint = new Map();
+  for (const [minute, bucket] of statsBuckets) {
+    if (minute <= oldest) continue;
+    for (const [endpoint, counts] of bucket) {
+      const total = byEndpoint.get(endpoint) ?? { requests: 0, failures: 0 };
+      total.requests += counts.requests;
+      total.failures += counts.failures;
+      byEndpoint.set(endpoint, total);
+    }
+  }
+
+  const withRate = (counts) => ({ ...counts, errorRate: counts.requests > 0 ? counts.failures / counts.requests : 0 });
+  const endpoints = Array.from(byEndpoint, ([endpoint, counts]) => ({ endpoint, ...withRate(counts) }))
+    .sort((a, b) => b.requests - a.requests);
+  const total = endpoints.reduce(
+    (sum, entry) => ({ requests: sum.requests + entry.requests, failures: sum.failures + entry.failures }),
+    { requests: 0, failures: 0 }
+  );
+  return { windowMinutes: STATS_WINDOW_MINUTES, total: withRate(total), endpoints, lastError: lastUpstreamError, circuits: getCircuitStates() };
+}
+
+function siteUrl(pathAndQuery) {
+  return `${upstream.origin}${ESPN_SITE_PATH}${pathAndQuery}`;
+}
+
+function commonUrl(pathAndQuery) {
+  return `${upstream.origin}${ESPN_COMMON_PATH}${pathAndQuery}`;
+}
+
+/**
+ * Fetch JSON from ESPN public APIs, honouring the upstream mode.
+ * Return: { ok: true, data } or { ok: false, error: { kind, status, message, retryAfterMs } }
+ * (see requestJson for the kinds; replay mode adds no_fixture). Never throws.
  */
 async function fetchJson(url) {
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch {
-    return null;
+  if (upstream.mode === "replay") {
+    const body = await readFixture(url, upstream.fixturesDir);
+    if (body === null) {
+      return { ok: false, error: { kind: "no_fixture", status: null, message: "No recorded response for this request", retryAfterMs: null } };
+    }
+    return { ok: true, data: body };
+  }
+
+  const result = await requestJson(url, {
+    timeoutMs: upstream.timeoutMs,
+    retries: upstream.retries,
+    onAttempt: (attemptResult, { attempt, seconds }) => {
+      const { ok, status = null, error } = attemptResult;
+      recordUpstream(url, { ok, status: ok ? status : error.status, kind: error?.kind, message: error?.message, seconds, attempt });
+    },
+  });
+  if (!result.ok) return { ok: false, error: result.error };
+
+  if (upstream.mode === "record") {
+    await writeFixture(url, result.data, upstream.fixturesDir).catch((err) => {
+      logger.error("Failed to record ESPN fixture", { url, err });
+    });
   }
+  return { ok: true, data: result.data };
+}
+
+/**
+ * ESPN answers 404 when it has nothing for a team, season or player. That is an empty
+ * payload, not a failure, so it comes back as { ok: true, data: null }.
+ */
+function notFoundAsEmpty(result) {
+  return !result.ok && result.error.kind === "not_found" ? { ok: true, data: null } : result;
 }
 
 /**
@@ -67,6 +242,47 @@ function buildPlayerCategoryMaps(payload, season, teamId) {
   return out;
 }
 
+/**
+ * Every { season, teamId } pair the player has a stats row for, newest season first.
+ */
+function listSeasonTeamRows(payload) {
+  const categories = Array.isArray(payload?.categories) ? payload.categories : [];
+  const pairs = new Map();
+  for (const category of categories) {
+    const rows = Array.isArray(category?.statistics) ? category.statistics : [];
+    for (const row of rows) {
+      const season = toNumber(row?.season?.year);
+      if (season === null || row?.teamId === undefined) continue;
+      pairs.set(`${season}:${row.teamId}`, { season, teamId: toNumber(row.teamId) });
+    }
+  }
+  return Array.from(pairs.values()).sort((a, b) => b.season - a.season);
+}
+
+/**
+ * Career totals keyed by category name, from each category's `totals` row.
+ */
+function buildCareerCategoryMaps(payload) {
+  const categories = Array.isArray(payload?.categories) ? payload.categories : [];
+  const out = {};
+  for (const category of categories) {
+    out[category.name] = statsRowToMap(category, { stats: category.totals });
+  }
+  return out;
+}
+
+/**
+ * Return the first stat present in a map, trying each alias in order.
+ * ESPN renames a few stats between categories and seasons.
+ */
+function pickStat(map, ...names) {
+  for (const name of names) {
+    const value = toNumber(map?.[name]);
+    if (value !== null) return value;
+  }
+  return null;
+}
+
 /**
  * Normalize ESPN player payload into the UI format used by stats.html.
  */
@@ -76,6 +292,7 @@ function normalizePlayer(athlete, categoryMaps) {
   const receiving = categoryMaps.receiving ?? {};
   const defensive = categoryMaps.defensive ?? {};
   const scoring = categoryMaps.scoring ?? {};
+  const fumbles = categoryMaps.fumbles ?? categoryMaps.general ?? {};
 
   const passingTds = passing.passingTouchdowns ?? 0;
   const rushingTds = rushing.rushingTouchdowns ?? 0;
@@ -91,20 +308,112 @@ function normalizePlayer(athlete, categoryMaps) {
     scoring.gamesPlayed ??
     0;
 
-  return {
+  // Fumbles lost live in their own category for most players; fall back to the per-category splits.
+  const splitFumblesLost = (pickStat(rushing, "rushingFumblesLost") ?? 0) + (pickStat(receiving, "receivingFumblesLost") ?? 0);
+  const fumblesLost = pickStat(fumbles, "fumblesLost") ?? splitFumblesLost;
+
+  const twoPointConversions =
+    pickStat(scoring, "twoPointConversions", "twoPtConvs") ??
+    (pickStat(scoring, "twoPointPassConvs", "twoPtPass") ?? 0) +
+      (pickStat(scoring, "twoPointRushConvs", "twoPtRush") ?? 0) +
+      (pickStat(scoring, "twoPointRecConvs", "twoPtReception") ?? 0);
+
+  const player = {
+    id: athlete?.id ? String(athlete.id) : null,
     name: athlete?.fullName || "Unknown",
     number: athlete?.jersey ? Number(athlete.jersey) : null,
     position: athlete?.position?.abbreviation || "--",
     gamesPlayed: toNumber(gamesPlayed) ?? 0,
     passingYards: toNumber(passing.passingYards) ?? 0,
+    passingTouchdowns: toNumber(passingTds) ?? 0,
+    interceptionsThrown: toNumber(passing.interceptions) ?? 0,
     rushingYards: toNumber(rushing.rushingYards) ?? 0,
+    rushingTouchdowns: toNumber(rushingTds) ?? 0,
+    receptions: toNumber(receiving.receptions) ?? 0,
     receivingYards: toNumber(receiving.receivingYards) ?? 0,
+    receivingTouchdowns: toNumber(receivingTds) ?? 0,
     totalTouchdowns: toNumber(totalTouchdowns) ?? 0,
+    fumblesLost: fumblesLost ?? 0,
+    twoPointConversions: twoPointConversions ?? 0,
     tackles: toNumber(defensive.totalTackles) ?? 0,
     sacks: toNumber(defensive.sacks) ?? 0,
     interceptions: toNumber(defensive.interceptions) ?? 0,
-    fantasyPoints: 0,
   };
+  player.fantasyPoints = computeFantasyPoints(player);
+  return player;
+}
+
+/**
+ * Stat columns of normalizePlayer without the identity fields, for season, career and game rows.
+ */
+function toStatLine(categoryMaps) {
+  const { id, name, number, position, ...stats } = normalizePlayer(null, categoryMaps);
+  return stats;
+}
+
+/**
+ * Bio fields from a roster (or athlete) entry.
+ */
+function normalizeBio(athlete) {
+  const birthPlace = athlete?.birthPlace;
+  return {
+    id: athlete?.id ? String(athlete.id) : null,
+    name: athlete?.fullName || athlete?.displayName || "Unknown",
+    number: athlete?.jersey ? Number(athlete.jersey) : null,
+    position: athlete?.position?.abbreviation || "--",
+    age: toNumber(athlete?.age),
+    height: athlete?.displayHeight || null,
+    weight: athlete?.displayWeight || null,
+    experience: toNumber(athlete?.experience?.years),
+    college: athlete?.college?.name || null,
+    birthPlace: [birthPlace?.city, birthPlace?.state || birthPlace?.country].filter(Boolean).join(", ") || null,
+    dateOfBirth: athlete?.dateOfBirth || null,
+    headshot: athlete?.headshot?.href || null,
+    status: athlete?.status?.name || null,
+  };
+}
+
+/**
+ * Per-game rows from the ESPN game log. Stat values arrive as one flat array per game,
+ * lined up with `names`; `categories` gives how many columns belong to each stat category.
+ */
+function normalizeGameLog(payload) {
+  const names = Array.isArray(payload?.names) ? payload.names : [];
+  const spans = Array.isArray(payload?.categories) ? payload.categories : [];
+  const events = payload?.events && typeof payload.events === "object" ? payload.events : {};
+  const seasonTypes = Array.isArray(payload?.seasonTypes) ? payload.seasonTypes : [];
+  const rows = [];
+
+  for (const seasonType of seasonTypes) {
+    for (const group of Array.isArray(seasonType?.categories) ? seasonType.categories : []) {
+      for (const entry of Array.isArray(group?.events) ? group.events : []) {
+        const stats = Array.isArray(entry?.stats) ? entry.stats : [];
+        const categoryMaps = {};
+        let offset = 0;
+        for (const span of spans) {
+          const count = toNumber(span?.count) ?? 0;
+          categoryMaps[span.name] = statsRowToMap({ names: names.slice(offset, offset + count) }, { stats: stats.slice(offset, offset + count) });
+          offset += count;
+        }
+
+        const event = events[entry?.eventId] ?? {};
+        rows.push({
+          eventId: entry?.eventId ? String(entry.eventId) : null,
+          week: toNumber(event.week),
+          dateTime: event.gameDate || null,
+          opponent: event.opponent?.abbreviation || "--",
+          opponentId: toNumber(event.opponent?.id),
+          homeAway: event.atVs === "@" ? "Away" : "Home",
+          result: event.gameResult || null,
+          score: event.score || null,
+          ...toStatLine(categoryMaps),
+          gamesPlayed: 1,
+        });
+      }
+    }
+  }
+
+  return rows.sort((a, b) => String(a.dateTime).localeCompare(String(b.dateTime)));
 }
 
 /**
@@ -128,13 +437,9 @@ async function mapWithConcurrency(items, concurrency, mapper) {
 }
 
 /**
- * Fetch and normalize team-level stats from ESPN.
+ * Team statistics categories as { categoryName: { statName: number } }.
  */
-export async function fetchTeamStats(teamId, season = DEFAULT_SEASON) {
-  const payload = await fetchJson(`${ESPN_SITE_BASE}/teams/${Number(teamId)}/statistics?season=${Number(season)}&seasontype=2`);
-  const categories = Array.isArray(payload?.results?.stats?.categories) ? payload.results.stats.categories : [];
-  if (categories.length === 0) return null;
-
+function categoriesToMaps(categories) {
   const byCategory = {};
   for (const category of categories) {
     const stats = Array.isArray(category?.stats) ? category.stats : [];
@@ -144,6 +449,45 @@ export async function fetchTeamStats(teamId, season = DEFAULT_SEASON) {
     }
     byCategory[category.name] = statMap;
   }
+  return byCategory;
+}
+
+/**
+ * Raw team statistics for league-wide comparisons, keyed by category then stat name.
+ * `opponent` holds what opponents did against the team (i.e. its defense) when ESPN
+ * includes it, otherwise null.
+ * Return: { ok: true, data } (data is null when ESPN has no stats for the team) or { ok: false, error }.
+ */
+export async function fetchTeamStatCategories(teamId, season = getCurrentSeason().season, seasonType = "regular") {
+  const result = notFoundAsEmpty(await fetchJson(siteUrl(`/teams/${Number(teamId)}/statistics?season=${Number(season)}&seasontype=${toEspnSeasonType(seasonType)}`)));
+  if (!result.ok) return result;
+  const payload = result.data;
+  const categories = Array.isArray(payload?.results?.stats?.categories) ? payload.results.stats.categories : [];
+  if (categories.length === 0) return { ok: true, data: null };
+
+  const opponent = payload?.results?.opponent;
+  const opponentCategories = Array.isArray(opponent) ? opponent : Array.isArray(opponent?.categories) ? opponent.categories : [];
+  return {
+    ok: true,
+    data: {
+      team: categoriesToMaps(categories),
+      opponent: opponentCategories.length > 0 ? categoriesToMaps(opponentCategories) : null,
+    },
+  };
+}
+
+/**
+ * Fetch and normalize team-level stats from ESPN.
+ * Return: { ok: true, data } (data is null when ESPN has no stats for the team) or { ok: false, error }.
+ */
+export async function fetchTeamStats(teamId, season = getCurrentSeason().season, seasonType = "regular") {
+  const result = notFoundAsEmpty(await fetchJson(siteUrl(`/teams/${Number(teamId)}/statistics?season=${Number(season)}&seasontype=${toEspnSeasonType(seasonType)}`)));
+  if (!result.ok) return result;
+  const payload = result.data;
+  const categories = Array.isArray(payload?.results?.stats?.categories) ? payload.results.stats.categories : [];
+  if (categories.length === 0) return { ok: true, data: null };
+
+  const byCategory = categoriesToMaps(categories);
 
   const passing = byCategory.passing ?? {};
   const rushing = byCategory.rushing ?? {};
@@ -152,7 +496,7 @@ export async function fetchTeamStats(teamId, season = DEFAULT_SEASON) {
   const returning = byCategory.returning ?? {};
   const punting = byCategory.punting ?? {};
 
-  return {
+  const stats = {
     ok: "yes",
     "Passing Yards": passing.passingYards ?? null,
     "Rushing Yards": rushing.rushingYards ?? null,
@@ -170,16 +514,214 @@ export async function fetchTeamStats(teamId, season = DEFAULT_SEASON) {
     "Average Return Yards": returning.yardsPerKickReturn ?? null,
     "Punt Yards": punting.puntYards ?? null,
   };
+  return { ok: true, data: stats };
+}
+
+/**
+ * Competitor scores are a string on the scoreboard and { value, displayValue } on team schedules.
+ */
+function readScore(competitor) {
+  const score = competitor?.score;
+  if (score && typeof score === "object") return toNumber(score.value ?? score.displayValue);
+  return toNumber(score);
+}
+
+function normalizeCompetitor(competitor) {
+  return {
+    id: toNumber(competitor?.team?.id),
+    abbreviation: competitor?.team?.abbreviation || null,
+    name: competitor?.team?.shortDisplayName || competitor?.team?.displayName || null,
+    score: readScore(competitor),
+  };
+}
+
+/**
+ * Down, distance and possession for a game in progress; null otherwise.
+ */
+function normalizeSituation(situation) {
+  if (!situation) return null;
+  return {
+    possession: toNumber(situation.possession),
+    down: toNumber(situation.down),
+    distance: toNumber(situation.distance),
+    yardLine: toNumber(situation.yardLine),
+    downDistance: situation.shortDownDistanceText || situation.downDistanceText || null,
+    possessionText: situation.possessionText || null,
+    isRedZone: situation.isRedZone === true,
+    lastPlay: situation.lastPlay?.text || null,
+  };
+}
+
+function normalizeScoreboardEvent(event, week) {
+  const competition = Array.isArray(event?.competitions) ? event.competitions[0] : null;
+  const competitors = Array.isArray(competition?.competitors) ? competition.competitors : [];
+  const status = event?.status ?? competition?.status;
+  return {
+    eventId: event?.id ? String(event.id) : null,
+    week: toNumber(event?.week?.number) ?? toNumber(week),
+    dateTime: event?.date || null,
+    status: status?.type?.description || status?.type?.name || "Scheduled",
+    state: status?.type?.state || "pre",
+    completed: status?.type?.completed === true,
+    period: toNumber(status?.period),
+    clock: status?.displayClock || null,
+    home: normalizeCompetitor(competitors.find((c) => c?.homeAway === "home")),
+    away: normalizeCompetitor(competitors.find((c) => c?.homeAway === "away")),
+    situation: normalizeSituation(competition?.situation),
+  };
+}
+
+/**
+ * Fetch one week of league-wide games from the ESPN scoreboard.
+ * `state` is ESPN's pre / in / post.
+ * Returns null when the request fails, so callers can tell "no games" from "no data";
+ * a week ESPN doesn't know (404) is an empty list.
+ */
+export async function fetchScoreboard(season = getCurrentSeason().season, seasonType = "regular", week = 1) {
+  const result = notFoundAsEmpty(await fetchJson(
+    siteUrl(`/scoreboard?dates=${Number(season)}&seasontype=${toEspnSeasonType(seasonType)}&week=${Number(week)}`)
+  ));
+  if (!result.ok) return null;
+  const events = Array.isArray(result.data?.events) ? result.data.events : [];
+  return events.map((event) => normalizeScoreboardEvent(event, week));
+}
+
+/**
+ * Fetch whatever week ESPN considers current (no season or week in the query).
+ * Return: { ok: true, data } with the week's games, or { ok: false, error }.
+ */
+export async function fetchCurrentScoreboard() {
+  const result = await fetchJson(siteUrl("/scoreboard"));
+  if (!result.ok) return result;
+  const events = Array.isArray(result.data?.events) ? result.data.events : [];
+  return { ok: true, data: events.map((event) => normalizeScoreboardEvent(event, result.data.week?.number)) };
+}
+
+function normalizeGameTeam(competitor) {
+  const record = Array.isArray(competitor?.record) ? competitor.record : [];
+  return {
+    ...normalizeCompetitor(competitor),
+    homeAway: competitor?.homeAway || null,
+    record: (record.find((r) => r?.type === "total") ?? record[0])?.summary || null,
+    // Points per quarter; a fifth entry means overtime.
+    linescores: (Array.isArray(competitor?.linescores) ? competitor.linescores : []).map((line) =>
+      toNumber(line?.value ?? line?.displayValue)
+    ),
+  };
+}
+
+function normalizeScoringPlay(play) {
+  return {
+    id: play?.id ? String(play.id) : null,
+    period: toNumber(play?.period?.number),
+    clock: play?.clock?.displayValue || null,
+    teamId: toNumber(play?.team?.id),
+    type: play?.scoringType?.displayName || play?.type?.text || null,
+    text: play?.text || "",
+    homeScore: toNumber(play?.homeScore),
+    awayScore: toNumber(play?.awayScore),
+  };
+}
+
+/**
+ * Team box score as rows of { name, label, home, away } so the two sides line up.
+ */
+function normalizeBoxscore(boxscoreTeams, homeId, awayId) {
+  const teams = Array.isArray(boxscoreTeams) ? boxscoreTeams : [];
+  const home = teams.find((t) => toNumber(t?.team?.id) === homeId);
+  const away = teams.find((t) => toNumber(t?.team?.id) === awayId);
+  const rows = new Map();
+
+  for (const [side, team] of [["home", home], ["away", away]]) {
+    const statistics = Array.isArray(team?.statistics) ? team.statistics : [];
+    for (const stat of statistics) {
+      if (!stat?.name) continue;
+      const row = rows.get(stat.name) ?? { name: stat.name, label: stat.label || stat.name, home: null, away: null };
+      row[side] = stat.displayValue ?? null;
+      rows.set(stat.name, row);
+    }
+  }
+  return Array.from(rows.values());
+}
+
+/**
+ * Top player per leader category (passing, rushing, receiving, ...) for each side.
+ */
+function normalizeLeaders(leaderTeams, homeId, awayId) {
+  const teams = Array.isArray(leaderTeams) ? leaderTeams : [];
+  const categories = new Map();
+
+  for (const team of teams) {
+    const teamId = toNumber(team?.team?.id);
+    const side = teamId === homeId ? "home" : teamId === awayId ? "away" : null;
+    if (!side) continue;
+
+    for (const category of Array.isArray(team?.leaders) ? team.leaders : []) {
+      const top = Array.isArray(category?.leaders) ? category.leaders[0] : null;
+      if (!category?.name || !top) continue;
+      const row = categories.get(category.name) ?? { category: category.name, label: category.displayName || category.name, home: null, away: null };
+      row[side] = {
+        athleteId: top?.athlete?.id ? String(top.athlete.id) : null,
+        name: top?.athlete?.displayName || top?.athlete?.shortName || null,
+        position: top?.athlete?.position?.abbreviation || null,
+        value: top?.displayValue || null,
+      };
+      categories.set(category.name, row);
+    }
+  }
+  return Array.from(categories.values());
+}
+
+/**
+ * Fetch one game's summary from ESPN and normalize the score by quarter, scoring
+ * plays, team box score and per-player leaders.
+ * Return: { ok: true, data } or { ok: false, error }. data is null when ESPN has no
+ * usable summary for the event.
+ */
+export async function fetchGameSummary(eventId) {
+  const result = notFoundAsEmpty(await fetchJson(siteUrl(`/summary?event=${encodeURIComponent(eventId)}`)));
+  if (!result.ok) return result;
+  const payload = result.data;
+  const competition = Array.isArray(payload?.header?.competitions) ? payload.header.competitions[0] : null;
+  if (!competition) return { ok: true, data: null };
+
+  const competitors = Array.isArray(competition.competitors) ? competition.competitors : [];
+  const home = normalizeGameTeam(competitors.find((c) => c?.homeAway === "home"));
+  const away = normalizeGameTeam(competitors.find((c) => c?.homeAway === "away"));
+  const status = competition.status ?? payload?.header?.status;
+  const venue = payload?.gameInfo?.venue;
+
+  const game = {
+    eventId: String(payload?.header?.id ?? eventId),
+    season: toNumber(payload?.header?.season?.year),
+    week: toNumber(payload?.header?.week),
+    dateTime: competition.date || null,
+    status: status?.type?.description || status?.type?.name || "Scheduled",
+    state: status?.type?.state || "pre",
+    completed: status?.type?.completed === true,
+    period: toNumber(status?.period),
+    clock: status?.displayClock || null,
+    venue: venue?.fullName || null,
+    attendance: toNumber(payload?.gameInfo?.attendance),
+    home,
+    away,
+    scoringPlays: (Array.isArray(payload?.scoringPlays) ? payload.scoringPlays : []).map(normalizeScoringPlay),
+    boxscore: normalizeBoxscore(payload?.boxscore?.teams, home.id, away.id),
+    leaders: normalizeLeaders(payload?.leaders, home.id, away.id),
+  };
+  return { ok: true, data: game };
 }
 
 /**
  * Fetch and normalize team schedule from ESPN.
+ * Return: { ok: true, data } or { ok: false, error }.
  */
-export async function fetchTeamSchedule(teamId, season = DEFAULT_SEASON) {
-  const payload = await fetchJson(`${ESPN_SITE_BASE}/teams/${Number(teamId)}/schedule?season=${Number(season)}&seasontype=2`);
-  const events = Array.isArray(payload?.events) ? payload.events : [];
+export async function fetchTeamSchedule(teamId, season = getCurrentSeason().season, seasonType = "regular") {
+  const result = notFoundAsEmpty(await fetchJson(siteUrl(`/teams/${Number(teamId)}/schedule?season=${Number(season)}&seasontype=${toEspnSeasonType(seasonType)}`)));
+  if (!result.ok) return result;
+  const events = Array.isArray(result.data?.events) ? result.data.events : [];
 
-  return events
+  const schedule = events
     .map((event) => {
       const competition = Array.isArray(event?.competitions) ? event.competitions[0] : null;
       const competitors = Array.isArray(competition?.competitors) ? competition.competitors : [];
@@ -188,45 +730,125 @@ export async function fetchTeamSchedule(teamId, season = DEFAULT_SEASON) {
       const homeAway = teamCompetitor?.homeAway === "home" ? "Home" : "Away";
       const opponent = opponentCompetitor?.team?.abbreviation || opponentCompetitor?.team?.shortDisplayName || "--";
       const channel = Array.isArray(competition?.broadcasts) ? competition.broadcasts[0]?.names?.[0] || "--" : "--";
+      const status = event?.status ?? competition?.status;
 
       return {
+        eventId: event?.id ? String(event.id) : null,
         week: toNumber(event?.week?.number),
         dateTime: event?.date || null,
-        status: event?.status?.type?.description || event?.status?.type?.name || "Scheduled",
+        status: status?.type?.description || status?.type?.name || "Scheduled",
+        completed: status?.type?.completed === true,
         channel,
         homeAway,
         opponent,
+        opponentId: toNumber(opponentCompetitor?.team?.id),
+        teamScore: readScore(teamCompetitor),
+        opponentScore: readScore(opponentCompetitor),
       };
     })
     .sort((a, b) => (toNumber(a.week) ?? 0) - (toNumber(b.week) ?? 0));
+  return { ok: true, data: schedule };
+}
+
+/**
+ * Flat list of a team's roster entries (offense, defense and special teams groups).
+ * Return: { ok: true, data } or { ok: false, error }.
+ */
+async function fetchTeamRoster(teamId) {
+  const result = notFoundAsEmpty(await fetchJson(siteUrl(`/teams/${Number(teamId)}/roster`)));
+  if (!result.ok) return result;
+  const groups = Array.isArray(result.data?.athletes) ? result.data.athletes : [];
+  return { ok: true, data: groups.flatMap((group) => (Array.isArray(group?.items) ? group.items : [])) };
+}
+
+/**
+ * Fetch one player's profile: bio, a stat line for every season and team they have
+ * rows for, career totals, and a per-game log for `season`.
+ * Bio fields come from the roster of `teamId` (default: the player's latest team),
+ * falling back to the athlete endpoint when the player is not on that roster.
+ * Any failed request fails the whole profile, so a partial one is never mistaken for the real thing.
+ * Return: { ok: true, data } (data is null when ESPN has no stats or bio for the athlete)
+ * or { ok: false, error }.
+ */
+export async function fetchPlayerProfile(athleteId, { season = getCurrentSeason().season, seasonType = "regular", teamId = null } = {}) {
+  const id = Number(athleteId);
+  const espnType = toEspnSeasonType(seasonType);
+  const [statsResult, gameLogResult] = await Promise.all([
+    fetchJson(commonUrl(`/athletes/${id}/stats?seasontype=${espnType}`)).then(notFoundAsEmpty),
+    fetchJson(commonUrl(`/athletes/${id}/gamelog?season=${Number(season)}&seasontype=${espnType}`)).then(notFoundAsEmpty),
+  ]);
+  if (!statsResult.ok) return statsResult;
+  if (!gameLogResult.ok) return gameLogResult;
+  const statsPayload = statsResult.data;
+  const gameLogPayload = gameLogResult.data;
+
+  const seasonRows = listSeasonTeamRows(statsPayload);
+  const rosterTeamId = toNumber(teamId) ?? seasonRows[0]?.teamId ?? null;
+  const rosterResult = rosterTeamId !== null ? await fetchTeamRoster(rosterTeamId) : { ok: true, data: [] };
+  if (!rosterResult.ok) return rosterResult;
+  const roster = rosterResult.data ?? [];
+  let athlete = roster.find((entry) => Number(entry?.id) === id) ?? null;
+  if (!athlete) {
+    const athleteResult = notFoundAsEmpty(await fetchJson(commonUrl(`/athletes/${id}`)));
+    if (!athleteResult.ok) return athleteResult;
+    athlete = athleteResult.data?.athlete ?? null;
+  }
+  if (!athlete && !statsPayload) return { ok: true, data: null };
+
+  const profile = {
+    player: { ...normalizeBio(athlete ?? { id }), teamId: athlete && roster.includes(athlete) ? rosterTeamId : toNumber(athlete?.team?.id) },
+    season: Number(season),
+    seasonType,
+    seasons: seasonRows.map(({ season: rowSeason, teamId: rowTeamId }) => ({
+      season: rowSeason,
+      teamId: rowTeamId,
+      ...toStatLine(buildPlayerCategoryMaps(statsPayload, rowSeason, rowTeamId)),
+    })),
+    career: toStatLine(buildCareerCategoryMaps(statsPayload)),
+    gameLog: normalizeGameLog(gameLogPayload),
+  };
+  return { ok: true, data: profile };
 }
 
 /**
  * Fetch and normalize top team players from ESPN.
+ * Return: { ok: true, data, missing, error } where `missing` counts roster players whose
+ * stats could not be loaded (and so may be absent from `data`) and `error` is the last
+ * such failure; or { ok: false, error } when the roster, or every player, failed.
  */
-export async function fetchTeamPlayers(teamId, season = DEFAULT_SEASON) {
-  const rosterPayload = await fetchJson(`${ESPN_SITE_BASE}/teams/${Number(teamId)}/roster`);
-  const groups = Array.isArray(rosterPayload?.athletes) ? rosterPayload.athletes : [];
-  const athletes = groups.flatMap((group) => (Array.isArray(group?.items) ? group.items : []));
-  if (athletes.length === 0) return [];
+export async function fetchTeamPlayers(teamId, season = getCurrentSeason().season, seasonType = "regular") {
+  const roster = await fetchTeamRoster(teamId);
+  if (!roster.ok) return roster;
+  const athletes = roster.data;
+  if (athletes.length === 0) return { ok: true, data: [], missing: 0, error: null };
 
+  let missing = 0;
+  let lastError = null;
   const players = await mapWithConcurrency(athletes, PLAYER_FETCH_CONCURRENCY, async (athlete) => {
     const athleteId = Number(athlete?.id);
     if (!Number.isFinite(athleteId)) return null;
 
-    const statsPayload = await fetchJson(
-      `${ESPN_COMMON_BASE}/athletes/${athleteId}/stats?season=${Number(season)}&seasontype=2`
-    );
-    if (!statsPayload) return null;
+    const result = notFoundAsEmpty(await fetchJson(
+      commonUrl(`/athletes/${athleteId}/stats?season=${Number(season)}&seasontype=${toEspnSeasonType(seasonType)}`)
+    ));
+    if (!result.ok) {
+      missing += 1;
+      lastError = result.error;
+      return null;
+    }
 
-    const categoryMaps = buildPlayerCategoryMaps(statsPayload, season, teamId);
+    const categoryMaps = buildPlayerCategoryMaps(result.data, season, teamId);
     const player = normalizePlayer(athlete, categoryMaps);
     const usageScore = (player.passingYards ?? 0) + (player.rushingYards ?? 0) + (player.receivingYards ?? 0) + (player.tackles ?? 0);
     if (usageScore <= 0 && (player.totalTouchdowns ?? 0) <= 0) return null;
     return player;
   });
 
-  return players
+  if (missing > 0 && players.every((player) => player === null)) {
+    return { ok: false, error: lastError };
+  }
+
+  const top = players
     .filter(Boolean)
     .sort((a, b) => {
       if (b.totalTouchdowns !== a.totalTouchdowns) return b.totalTouchdowns - a.totalTouchdowns;
@@ -236,6 +858,6 @@ export async function fetchTeamPlayers(teamId, season = DEFAULT_SEASON) {
       return b.tackles - a.tackles;
     })
     .slice(0, 20);
+  return { ok: true, data: top, missing, error: lastError };
 }
 
-export { DEFAULT_SEASON };
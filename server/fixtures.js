@@ -0,0 +1,54 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "./fixtures/espn");
+
+/**
+ * Map an upstream URL to a fixture file name.
+ * Only path + query are used so fixtures recorded against ESPN replay
+ * the same way when the client points at a mock server.
+ */
+export function fixtureFileName(url) {
+  const parsed = new URL(url);
+  const key = `${parsed.pathname}${parsed.search}`;
+  const slug = key
+    .replace(/^\/apis\/(site|common)\/v\d+\/sports\/football\/nfl\//, "$1-")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 10);
+  return `${slug}-${hash}.json`;
+}
+
+/**
+ * Load a recorded response body. Returns null when no fixture exists for the URL.
+ */
+export async function readFixture(url, fixturesDir = DEFAULT_FIXTURES_DIR) {
+  const filePath = path.join(fixturesDir, fixtureFileName(url));
+  try {
+    const file = await fs.readFile(filePath, "utf8");
+    return JSON.parse(file).body ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save a response body next to the URL it came from.
+ */
+export async function writeFixture(url, body, fixturesDir = DEFAULT_FIXTURES_DIR) {
+  await fs.mkdir(fixturesDir, { recursive: true });
+  const filePath = path.join(fixturesDir, fixtureFileName(url));
+  const parsed = new URL(url);
+  const record = {
+    url: `${parsed.pathname}${parsed.search}`,
+    recordedAt: new Date().toISOString(),
+    body,
+  };
+  await fs.writeFile(filePath, JSON.stringify(record, null, 2));
+}
@@ -0,0 +1,56 @@
+import { getCachedValue } from "./cache.js";
+import { fetchGameSummary } from "./fetch.js";
+import { getAllTeams } from "./teamData.js";
+import { UpstreamError } from "./upstreamClient.js";
+
+// How long a game summary stays fresh, by ESPN game state.
+// A final score never changes, so finished games are kept for a year (effectively for good).
+const GAME_TTL = {
+  pre: 1000 * 60 * 10,
+  in: 1000 * 30,
+  post: 1000 * 60 * 60 * 24 * 365,
+};
+
+function gameTtl(game) {
+  if (game?.completed) return GAME_TTL.post;
+  return GAME_TTL[game?.state] ?? GAME_TTL.pre;
+}
+
+// Live games get no stale window: a score from a minute ago is wrong, not just old.
+function gameStaleWindow(game) {
+  return game?.state === "in" && !game?.completed ? 0 : gameTtl(game);
+}
+
+export function isValidEventId(eventId) {
+  return typeof eventId === "string" && /^\d{1,12}$/.test(eventId);
+}
+
+/**
+ * Load one game's normalized summary, with each side's preference key attached
+ * (`teamKey`) so pages can link to team views and colors.
+ * Return: the game, or null when ESPN has nothing for the id.
+ * Throws UpstreamError when ESPN fails, so the failure is not cached.
+ */
+export async function getGame(eventId) {
+  if (!isValidEventId(eventId)) return null;
+
+  const game = await getCachedValue(
+    `espn:game:${eventId}`,
+    gameTtl,
+    async () => {
+      const result = await fetchGameSummary(eventId);
+      if (!result.ok) throw new UpstreamError(result.error);
+      return result.data;
+    },
+    { staleMs: gameStaleWindow }
+  );
+  if (!game) return null;
+
+  const teams = await getAllTeams();
+  const keyFor = (id) => teams.find((team) => Number(team.id) === id)?.key ?? null;
+  return {
+    ...game,
+    home: { ...game.home, teamKey: keyFor(game.home.id) },
+    away: { ...game.away, teamKey: keyFor(game.away.id) },
+  };
+}
@@ -1,47 +1,79 @@
-import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import { getDB } from "../db.js";
+import { createSession } from "../sessions.js";
+import { normalizeUsername } from "../setReqs/createUser.js";
 
 const COLLECTION = "users";
+// Failed logins in a row before the account locks
+const LOCKOUT_THRESHOLD = 5;
+// The first lock lasts a minute and each further failure doubles it, up to an hour
+const LOCKOUT_BASE_MS = 1000 * 60;
+const LOCKOUT_MAX_MS = 1000 * 60 * 60;
 
-// signAuthToken Helper
-// @param 1: user the username object retrieved from the DB
-// Brief: creates jwt (way of verifying login quickly via frontend) if valid
-// Error is very unlikely to be thrown but why not right?
-// Return: jwt
-function signAuthToken(user) {
-  const payload = {
-    userId: user._id,
-    username: user.username,
-  };
-  const secret = process.env.JWT_SECRET;
-  if (!secret) throw new Error("Err creating auth token");
-  return jwt.sign(payload, secret, { expiresIn: "1d" });
+// lockoutFor
+// @param1: failures, failed logins in a row
+// Brief: how long the account stays locked after this many failures (0 below the threshold)
+function lockoutFor(failures) {
+    if (failures < LOCKOUT_THRESHOLD) return 0;
+    return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+}
+
+// recordFailure
+// @param1: user, the account that was tried
+// Brief: counts the failure and locks the account once the threshold is reached
+async function recordFailure(user) {
+    const collection = getDB().collection(COLLECTION);
+    const updated = await collection.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { loginFailures: 1 } },
+        { returnDocument: "after", projection: { loginFailures: 1 } }
+    );
+    const lockMs = lockoutFor(updated?.loginFailures ?? 0);
+    if (lockMs > 0) {
+        await collection.updateOne({ _id: user._id }, { $set: { lockedUntil: new Date(Date.now() + lockMs) } });
+    }
 }
 
 // Login User
 // @param 1: username a string that represents the account username
 // @param 2: password a string that represents the account password
+// @param 3: client { userAgent, ip } of the browser logging in, shown in the sessions list
 // Brief: 1st checks username to see if it exists in DB, if not, no need to validate password and exits early
-// 2nd uses Bcrypt.compare(uno, due) to check hashed password sefely
-export async function loginUser({ username, password }) {
+// 2nd refuses locked accounts before spending a bcrypt compare on them (returns lockedForMs)
+// 3rd uses Bcrypt.compare(uno, due) to check hashed password sefely; failures count towards the lockout
+// 4th turns away accounts an admin disabled or flagged for a password reset (only once the password is right)
+// 5th starts a session; the cookies carry its access and refresh tokens
+export async function loginUser({ username, password }, client = {}) {
     if (typeof username !== "string" || typeof password !== "string") {
         return {passed: false, message: "Username and password must be strings"};
     }
     const db = getDB();
-    const user = await db.collection(COLLECTION).findOne({username: username.trim()});
+    const user = await db.collection(COLLECTION).findOne({username: normalizeUsername(username)});
 
     if (!user) {
         return {passed: false, message: "Invalid username or password"};
     }
 
+    const lockedForMs = user.lockedUntil ? user.lockedUntil.getTime() - Date.now() : 0;
+    if (lockedForMs > 0) {
+        return {passed: false, lockedForMs, message: "Too many failed logins for this account."};
+    }
+
     const passwordMatch = await bcrypt.compare(password, user.password);
     if (!passwordMatch) {
+        await recordFailure(user);
         return {passed: false, message: "Invalid username or password"};
     }
-    const cookie = signAuthToken(user);
+    if (user.disabledAt) {
+        return {passed: false, message: "This account has been disabled."};
+    }
+    if (user.mustResetPassword) {
+        return {passed: false, message: "You need to choose a new password. Use the link we emailed you, or \"Forgot password?\"."};
+    }
+    if (user.loginFailures || user.lockedUntil) {
+        await db.collection(COLLECTION).updateOne({ _id: user._id }, { $unset: { loginFailures: "", lockedUntil: "" } });
+    }
+    const tokens = await createSession(user, client);
 
-    return {passed: true, chocolateChipCookie: cookie, preferences: user.preferences};
+    return {passed: true, chocolateChipCookie: tokens.accessToken, refreshCookie: tokens.refreshToken, preferences: user.preferences};
 }
-
-
@@ -1,14 +1,46 @@
 import express from "express";
 import cookieParser from "cookie-parser";
-import jwt from "jsonwebtoken";
 import { ObjectId } from "mongodb";
-import { connectDB, getDB } from "./db.js";
+import { connectDB, getDB, pingDB } from "./db.js";
+import { logger } from "./logger.js";
+import { METRICS_CONTENT_TYPE, renderMetrics } from "./metrics.js";
+import { requestLogger, routeLabel } from "./requestLog.js";
 import { loginUser } from "./getReqs/loginUser.js";
-import { requireAuth, requireAuthPage, reverseAuthPage, reverseAuth } from "./auth.js";
-import { createUser } from "./setReqs/createUser.js";
-import { DEFAULT_SEASON } from "./fetch.js";
-import { getTeamByPreferenceKey } from "./teamData.js";
-import { getPreferredData } from "./preferredData.js";
+import { clearAuthCookies, optionalAuth, requireAdmin, requireAuth, requireAuthPage, reverseAuthPage, reverseAuth, setAuthCookies } from "./auth.js";
+import { rateLimit, sendTooManyRequests, setRateLimitStore } from "./rateLimit.js";
+import { createMongoRateLimitStore } from "./mongoRateLimit.js";
+import { ensureSessionIndexes, listSessions, reissueAccessToken, renameSessions, revokeAllSessions, revokeSession } from "./sessions.js";
+import { createUser, normalizeEmail } from "./setReqs/createUser.js";
+import { sendVerificationEmail, verifyEmail } from "./setReqs/verifyEmail.js";
+import { requestPasswordReset, resetPassword } from "./setReqs/resetPassword.js";
+import { deleteAccount, ensureUserIndexes, exportAccount, prepareUsername, updateAccount } from "./setReqs/account.js";
+import { ensureAuthTokenIndexes } from "./authTokens.js";
+import { getSeasonRange, parseSeasonQuery } from "./season.js";
+import { clearTeamOverride, getAllTeams, getTeamByPreferenceKey, getTeamOverrides, loadTeamOverrides, setTeamOverride, validateTeamOverride } from "./teamData.js";
+import { forcePasswordReset, promoteConfiguredAdmins, searchUsers, updateUserAccess } from "./admin.js";
+import { getUpstreamConfig, getUpstreamStats } from "./fetch.js";
+import { UpstreamError } from "./upstreamClient.js";
+import { getPreferredData, peekTeamPlayers } from "./preferredData.js";
+import { getFollowedTeams, migrateFollowedTeams, normalizePreferences, toPreferenceUpdate } from "./preferences.js";
+import { getCacheStats, invalidateCache, listCacheKeys, setPersistentCacheTier } from "./cache.js";
+import { createMongoCacheTier } from "./mongoCache.js";
+import { startNewsPoller } from "./news/ingest.js";
+import { listNews } from "./news/listNews.js";
+import { listRankedNews } from "./news/rankNews.js";
+import { getTeamOdds } from "./odds/odds.js";
+import { applyFantasyScoring, resolveScoring } from "./fantasy.js";
+import { getStandings } from "./standings.js";
+import { getGame, isValidEventId } from "./gameData.js";
+import { addLiveClient } from "./live.js";
+import { getPlayerProfile, isValidAthleteId } from "./playerData.js";
+import { buildTeamCalendar, createCalendarToken, ensureCalendarIndex, isValidCalendarToken } from "./calendar.js";
+import { startNotificationJobs } from "./notify/jobs.js";
+import { getJobStatuses, startScheduler } from "./scheduler.js";
+import { definePrefetchJobs } from "./prefetch.js";
+import { loadBootstrap, renderPage } from "./pageShell.js";
+import { listInbox, markInboxRead } from "./notify/inbox.js";
+import { getVapidPublicKey } from "./notify/channels/pushChannel.js";
+import { compareTeams, getLeagueStatTable, getNextOpponent, MAX_COMPARE_TEAMS, MIN_COMPARE_TEAMS, suggestMatchups } from "./compare.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -16,30 +48,109 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the client's address
+// instead of the proxy's, which the rate limits and sessions list depend on
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(requestLogger);
 app.use(express.json());
 app.use(cookieParser());
 
+// serverError
+// @param1: req
+// @param2: res
+// @param3: err, what went wrong
+// @param4: body, the route's usual 500 body
+// Brief: logs the failure with its stack under the request id, and answers 500 with that id so a user can report it
+function serverError(req, res, err, body = { error: "Server error" }) {
+    logger.error("Route failed", { route: routeLabel(req), err });
+    return res.status(500).json({ ...body, requestId: req.id });
+}
+
+// Retry-After for an ESPN refusal that didn't say how long to wait
+const DEFAULT_UPSTREAM_RETRY_AFTER_SECONDS = 60;
+
+// upstreamError
+// @param1: req
+// @param2: res
+// @param3: err, the UpstreamError a loader threw
+// Brief: ESPN refusing for now (rate limited or circuit open) is a 503 with Retry-After; any other
+// ESPN failure is a 502. Both say which kind of failure it was, so pages can tell it from a missing id
+function upstreamError(req, res, err) {
+    if (err.kind === "rate_limited" || err.kind === "circuit_open") {
+        res.set("Retry-After", String(err.retryAfterMs ? Math.ceil(err.retryAfterMs / 1000) : DEFAULT_UPSTREAM_RETRY_AFTER_SECONDS));
+        return res.status(503).json({ error: "ESPN is unavailable right now", reason: err.kind, requestId: req.id });
+    }
+    return res.status(502).json({ error: "ESPN did not send a usable response", reason: err.kind, requestId: req.id });
+}
+
+// App Health Get Request
+// Brief: Liveness; answers as long as the process is serving requests
+app.get("/healthz", (req, res) => {
+    return res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// App Ready Get Request
+// Brief: Readiness; 503 until Mongo answers a ping, so a load balancer only sends traffic to working instances
+app.get("/readyz", async (req, res) => {
+    const mongo = await pingDB();
+    return res.status(mongo.ok ? 200 : 503).json({ status: mongo.ok ? "ready" : "unavailable", checks: { mongo } });
+});
 
-const isProd = process.env.NODE_ENV === "production";
+// App Metrics Get Request
+// Brief: Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a Bearer token.
+app.get("/metrics", (req, res) => {
+    if (process.env.METRICS_TOKEN && req.get("authorization") !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: "Unauthorized" });
+    }
+    res.set("Content-Type", METRICS_CONTENT_TYPE);
+    return res.send(renderMetrics());
+});
+
+// clientInfo
+// @param1: req
+// Brief: what the sessions list shows about the browser that logged in
+function clientInfo(req) {
+    return { userAgent: req.get("user-agent") || "", ip: req.ip };
+}
+
+// Request budgets
+// Login is limited per IP and per username, so guesses spread over many accounts or many
+// addresses both run out. Signup is the tightest because every attempt pays for a bcrypt hash.
+// preferred-data gets a roomier budget of its own since each call fans out to ESPN.
+const loginIpLimit = rateLimit({ name: "login-ip", windowMs: 1000 * 60 * 15, max: 30, message: "Too many login attempts." });
+const loginUserLimit = rateLimit({
+    name: "login-user",
+    windowMs: 1000 * 60 * 15,
+    max: 10,
+    key: (req) => (typeof req.body?.username === "string" ? req.body.username.trim().toLowerCase() : null),
+    message: "Too many login attempts for this account.",
+});
+const signupLimit = rateLimit({ name: "signup", windowMs: 1000 * 60 * 60, max: 5, message: "Too many accounts created from this address." });
+const authEmailLimit = rateLimit({ name: "auth-email", windowMs: 1000 * 60 * 60, max: 10, message: "Too many email requests." });
+const accountLimit = rateLimit({ name: "account", windowMs: 1000 * 60 * 15, max: 10, key: (req) => req.user?.id ?? req.ip, message: "Too many account changes." });
+const preferredDataLimit = rateLimit({ name: "preferred-data", windowMs: 1000 * 60, max: 60, key: (req) => req.user?.id ?? req.ip });
+
+// Browsers per user that can receive Web Push
+const MAX_PUSH_SUBSCRIPTIONS = 5;
 
 
 // App Post Login Request
 // Brief: Logging in the User
 // Calls external loginUser function which interacts with mongoDB (most of the heavy lifting)
-// Creates an auth cookie
+// Starts a session and sets its auth + refresh cookies
 // Returns the response object with the user's useful (not sensitive) information
-app.post("/api/login", reverseAuth, async (req, res) => {
-  const result = await loginUser(req.body);
+app.post("/api/login", loginIpLimit, loginUserLimit, reverseAuth, async (req, res) => {
+  const result = await loginUser(req.body, clientInfo(req));
+  if (result.lockedForMs) {
+    return sendTooManyRequests(res, result.lockedForMs, result.message);
+  }
   if (!result.passed) {
     return res.status(401).json({ error: result.message });
   }
 
-  res.cookie("auth", result.chocolateChipCookie, {
-    httpOnly: true,
-    secure: isProd,
-    sameSite: "lax",         
-    maxAge: 24 * 60 * 60 * 1000
-  });
+  setAuthCookies(res, { accessToken: result.chocolateChipCookie, refreshToken: result.refreshCookie });
 
   return res.json({ username: req.body.username, preferences: result.preferences });
 });
@@ -50,23 +161,22 @@ app.post("/api/login", reverseAuth, async (req, res) => {
  Uses loginUser helper from loginUser.js
     * loginUser returns an object (if valid login)
         - obj.passed == valid login
-        - obj.chocolateChipCookie == jwt
+        - obj.chocolateChipCookie == access jwt, obj.refreshCookie == refresh token
         - obj.preferences == user's preferences
  */
-app.post("/api/user", reverseAuth, async (req,res) => {
+app.post("/api/user", signupLimit, reverseAuth, async (req,res) => {
     try {
         const userId = await createUser(req.body);
-        const login = await loginUser({username: req.body.username, password: req.body.password});
+        const login = await loginUser({username: req.body.username, password: req.body.password}, clientInfo(req));
         if (!login.passed) {
             throw new Error(login.message || "Unable to login newly created user");
         }
-
-        res.cookie("auth", login.chocolateChipCookie, {
-            httpOnly: true,
-            secure: isProd,
-            sameSite: "lax",
-            maxAge: 24 * 60 * 60 * 1000
+        // Signup doesn't wait on (or fail because of) the mail server
+        sendVerificationEmail({ _id: userId, email: normalizeEmail(req.body.email) }).catch((err) => {
+            logger.error("Verification email failed", { err });
         });
+
+        setAuthCookies(res, { accessToken: login.chocolateChipCookie, refreshToken: login.refreshCookie });
         // successful case
         return res.status(201).json({ userId: userId, username: req.body.username, preferences: login.preferences });
     } catch (err) {
@@ -74,36 +184,84 @@ app.post("/api/user", reverseAuth, async (req,res) => {
     }
 });
 
+// App Post Resend Verification Request
+// Brief: Emails a fresh verification link; older links stop working
+app.post("/api/verify-email/resend", authEmailLimit, requireAuth, async (req, res) => {
+    try {
+        const db = getDB();
+        const user = await db.collection("users").findOne(
+            { username: req.user?.username },
+            { projection: { email: 1, emailVerified: 1 } }
+        );
+
+        if (!user) {
+            return res.status(401).json({ error: "not logged in" });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ error: "Your email is already verified" });
+        }
+
+        await sendVerificationEmail(user);
+        return res.json({ message: `Verification email sent to ${user.email}` });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Post Forgot Password Request
+// Brief: Emails a password reset link when an account uses the address.
+// Always answers the same (and without waiting on the mail server) so it can't reveal which emails have accounts.
+app.post("/api/password/forgot", authEmailLimit, async (req, res) => {
+    if (typeof req.body?.email !== "string" || !req.body.email.trim()) {
+        return res.status(400).json({ error: "Email is required" });
+    }
+
+    requestPasswordReset(req.body.email).catch((err) => {
+        logger.error("Password reset email failed", { err });
+    });
+    return res.json({ message: "If an account uses that email, a reset link is on its way." });
+});
+
+// App Post Reset Password Request
+// Brief: Sets a new password from an emailed reset link and signs out every existing login
+app.post("/api/password/reset", authEmailLimit, async (req, res) => {
+    try {
+        const result = await resetPassword({ token: req.body?.token, password: req.body?.password });
+        if (!result.passed) {
+            return res.status(400).json({ error: result.message });
+        }
+
+        clearAuthCookies(res);
+        return res.json({ message: "Password updated. Log in with your new password." });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
 // App Post Preference Request
 // Brief: Updates the Preferences Object
 // Returns a valid/invalid status in response object
 app.post("/api/preferences", requireAuth,  async (req, res) => {
     try {
-        const preferences = req.body.preferences;
-        if (typeof preferences !== "object") {
-            return res.status(400).json({ error: "Invalid preferences format" });
-        }
-        if (preferences?.team !== undefined) {
-            const team = await getTeamByPreferenceKey(preferences.team);
-            if (!team) {
-                return res.status(400).json({ error: "Invalid team key. Use location-only team names." });
-            }
+        const { error, preferences } = await normalizePreferences(req.body.preferences);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
         if (!req.user?.id) {
             return res.status(401).json({ error: "not logged in" });
         }
 
-        // Updates preferences
+        // Updates only the submitted preference keys
         const db = getDB();
         await db.collection("users").updateOne(
             { _id: new ObjectId(req.user.id) },
-            { $set: { preferences: preferences } }
+            toPreferenceUpdate(preferences)
         );
 
         return res.json({ message: "Preferences updated successfully" });
     } catch (err) {
-        return res.status(500).json({ error: "Server error" });
+        return serverError(req, res, err);
     }
 });
 
@@ -120,49 +278,110 @@ app.post('/api/updateUsr', requireAuth, async (req,res) => {
         const update = {};
 
         if (typeof username === "string" && username.trim()) {
-            update.username = username.trim();
+            const checked = await prepareUsername(new ObjectId(req.user.id), username);
+            if (checked.message) {
+                return res.status(checked.status).json({ error: checked.message });
+            }
+            if (checked.username !== req.user.username) {
+                update.username = checked.username;
+            }
         }
 
+        let normalizedPreferences;
+        let preferenceUpdate = { $set: {} };
         if (preferences && typeof preferences === "object") {
-            if (preferences?.team !== undefined) {
-                const team = await getTeamByPreferenceKey(preferences.team);
-                if (!team) {
-                    return res.status(400).json({ error: "Invalid team key. Use location-only team names." });
-                }
+            const result = await normalizePreferences(preferences);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
             }
-            update.preferences = preferences;
+            normalizedPreferences = result.preferences;
+            preferenceUpdate = toPreferenceUpdate(normalizedPreferences);
         }
 
-        if (Object.keys(update).length === 0) {
+        if (Object.keys(update).length === 0 && Object.keys(preferenceUpdate.$set).length === 0) {
             return res.status(400).json({ error: "No valid fields to update" });
         }
 
         await db.collection("users").updateOne(
             { _id: new ObjectId(req.user.id) },
-            { $set: update }
+            { ...preferenceUpdate, $set: { ...update, ...preferenceUpdate.$set } }
         );
 
-        // Re-issue auth cookie if username changed
+        // Every session reads the username from its session document, so renaming them is enough;
+        // this browser also gets an access token carrying the new name, for the same session
         if (update.username) {
-            const secret = process.env.JWT_SECRET;
-            if (secret) {
-                const token = jwt.sign(
-                    { userId: req.user.id, username: update.username },
-                    secret,
-                    { expiresIn: "1d" }
-                );
-                res.cookie("auth", token, {
-                    httpOnly: true,
-                    secure: isProd,
-                    sameSite: "lax",
-                    maxAge: 24 * 60 * 60 * 1000
-                });
-            }
+            await renameSessions(new ObjectId(req.user.id), update.username);
+            const accessToken = reissueAccessToken({ _id: req.user.sessionId, userId: req.user.id, username: update.username });
+            setAuthCookies(res, { accessToken, refreshToken: null });
+        }
+
+        return res.json({ message: "User updated successfully", username: update.username ?? req.user.username, preferences: normalizedPreferences });
+    } catch (err) {
+        if (err?.code === 11000) {
+            return res.status(409).json({ error: "That username is taken." });
+        }
+        return serverError(req, res, err);
+    }
+});
+
+// App Account Patch Request
+// Brief: Changes any of username, email and password ({ username, email, newPassword, currentPassword }).
+// Email and password changes need currentPassword. A new email has to be verified again,
+// and a new password signs out every other session.
+app.patch("/api/account", requireAuth, accountLimit, async (req, res) => {
+    try {
+        const userId = new ObjectId(req.user.id);
+        const result = await updateAccount(userId, req.body ?? {}, { sessionId: req.user.sessionId });
+        if (!result.passed) {
+            return res.status(result.status).json({ error: result.message });
+        }
+
+        if (result.account.username !== req.user.username) {
+            await renameSessions(userId, result.account.username);
+            const accessToken = reissueAccessToken({ _id: req.user.sessionId, userId: req.user.id, username: result.account.username });
+            setAuthCookies(res, { accessToken, refreshToken: null });
+        }
+        if (result.emailChanged) {
+            sendVerificationEmail({ _id: userId, email: result.account.email }).catch((err) => {
+                logger.error("Verification email failed", { err });
+            });
+        }
+
+        return res.json({ message: "Account updated", ...result.account });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Account Export Get Request
+// Brief: Downloads everything stored about the user as a JSON file
+app.get("/api/account/export", requireAuth, accountLimit, async (req, res) => {
+    try {
+        const data = await exportAccount(new ObjectId(req.user.id));
+        if (!data) {
+            return res.status(401).json({ error: "not logged in" });
         }
 
-        return res.json({ message: "User updated successfully", username: update.username ?? req.user.username, preferences: update.preferences });
+        res.set("Content-Disposition", `attachment; filename="playbooknews-${req.user.username.replace(/[^\w.-]/g, "_")}.json"`);
+        return res.json(data);
     } catch (err) {
-        return res.status(500).json({ error: "Server error" });
+        return serverError(req, res, err);
+    }
+});
+
+// App Account Delete Request
+// Brief: Deletes the account and its sessions, inbox and notification history once the password ({ password }) confirms it
+app.delete("/api/account", requireAuth, accountLimit, async (req, res) => {
+    try {
+        const result = await deleteAccount(new ObjectId(req.user.id), req.body?.password);
+        if (!result.passed) {
+            return res.status(result.status).json({ error: result.message });
+        }
+
+        clearAuthCookies(res);
+        return res.json({ message: "Account deleted" });
+    } catch (err) {
+        return serverError(req, res, err);
     }
 });
 
@@ -173,334 +392,1009 @@ app.post('/api/updateUsr', requireAuth, async (req,res) => {
 // Checks whether the request body has a username, AND a valid jwt
 app.get("/api/me", requireAuth, async (req, res) => {
     try {
-        if (!req.user?.username) {
-            return res.status(401).json({ error: "not logged in" });
-        }
-    
-        const db = getDB();
-        const user = await db.collection("users").findOne(
-            { username: req.user.username },
-            { projection: { passwordHash: 0 } }
-        );
+        const bootstrap = await loadBootstrap(req.user.id);
+        if (!bootstrap) return res.status(401).json({ error: "not logged in" });
 
-        if (!user) return res.status(401).json({ error: "not logged in" });
+        return res.json(bootstrap.user);
+    } catch (err) {
+        return serverError(req, res, err, { error: "server error" });
+    }
+});
 
-        return res.json({
-            username: user.username,
-            preferences: user.preferences ?? {},
-        });
+// App Get Bootstrap Request
+// Brief: The same user, team and theme the shell puts into every page, for client code that
+// needs them again without reloading the page
+app.get("/api/bootstrap", requireAuth, async (req, res) => {
+    try {
+        const bootstrap = await loadBootstrap(req.user.id);
+        if (!bootstrap) return res.status(401).json({ error: "not logged in" });
+
+        return res.json(bootstrap);
     } catch (err) {
-        return res.status(500).json({ error: "server error" });
+        return serverError(req, res, err);
     }
 });
 
 // serving pages
 
 // App Home Get Request
-// Brief: Serves the Home Page
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "../pages/index.html"));
+// Brief: Serves the Home Page; the shell shows the signed-in nav when there is a user
+app.get("/", optionalAuth, async (req, res) => {
+    try {
+        const bootstrap = req.user ? await loadBootstrap(req.user.id) : null;
+        return res.type("html").send(await renderPage("index.html", bootstrap));
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+app.get("/index.html", (req, res) => {
+    return res.redirect("/");
 });
 
 
 // App Login Get Request
 // Brief: Serves Login page IFF the user is not logged in
 app.get("/login", reverseAuthPage, (req, res) => {
-    if (req.cookies?.auth) {
-        return res.redirect("/");
-    }
     res.sendFile(path.join(__dirname, "../pages/login.html"));
 });
 app.get("/login.html", reverseAuthPage, (req, res) => {
-    if (req.cookies?.auth) {
-        return res.redirect("/");
+    res.sendFile(path.join(__dirname, "../pages/login.html"));
+});
+
+// App Verify Email Get Request
+// Brief: Target of the emailed verification link; reports the outcome on the login page
+app.get("/verify-email", async (req, res) => {
+    try {
+        const verified = await verifyEmail(req.query.token);
+        return res.redirect(`/login?verified=${verified ? 1 : 0}`);
+    } catch (err) {
+        logger.error("Page failed", { route: routeLabel(req), err });
+        return res.redirect("/login?verified=0");
     }
+});
+
+// App Reset Password Get Request
+// Brief: Target of the emailed reset link. Served whether or not someone is logged in on this browser;
+// the login page shows the new-password form when the link has a token.
+app.get("/reset-password", (req, res) => {
     res.sendFile(path.join(__dirname, "../pages/login.html"));
 });
 
 // App Signup Get Request
 // Brief: Serves the signup page IFF the user is not logged in
 app.get("/signup", reverseAuthPage, (req, res) => {
-    if (req.cookies?.auth) {
-        return res.redirect("/");
-    }
     res.sendFile(path.join(__dirname, "../pages/user.html"));
 });
 app.get("/user.html", reverseAuthPage, (req, res) => {
-    if (req.cookies?.auth) {
-        return res.redirect("/");
-    }
     res.sendFile(path.join(__dirname, "../pages/user.html"));
 });
 
 // App Logout Get Request
-// Clears the Cookie (jwt) and returns cleared user payload
-app.get("/logout", requireAuth, (req, res) => {
-    res.clearCookie("auth", {
-        httpOnly: true,
-        secure: isProd,
-        sameSite: "lax",
-        path: "/",
-    });
+// Ends this browser's session on the server (so a copied cookie stops working too) and clears the cookies
+app.get("/logout", requireAuth, async (req, res) => {
+    try {
+        await revokeSession(new ObjectId(req.user.id), req.user.sessionId);
+    } catch (err) {
+        logger.error("Logout could not revoke session", { err });
+    }
+    clearAuthCookies(res);
     req.user = null;
     return res.redirect("/");
 });
 
-// App Pref Get Request
-// Brief: Serves the team setter only if logged in AND no team is set; otherwise redirect home
-app.get("/pref", requireAuthPage, async (req,res) => {
+// App Sessions Get Request
+// Brief: Every signed-in browser for this account with device, IP and last activity; `current` marks this one
+app.get("/api/sessions", requireAuth, async (req, res) => {
+    try {
+        const sessions = await listSessions(new ObjectId(req.user.id), req.user.sessionId);
+        return res.json({ sessions });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Session Delete Request
+// Brief: Signs one session out. Revoking the current one also clears this browser's cookies.
+app.delete("/api/sessions/:id", requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeSession(new ObjectId(req.user.id), req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+
+        if (req.params.id === req.user.sessionId) {
+            clearAuthCookies(res);
+        }
+        return res.json({ message: "Session signed out" });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Sign Out Everywhere Post Request
+// Brief: Revokes every session of the account, this one included
+app.post("/api/sessions/revoke-all", requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(new ObjectId(req.user.id));
+        clearAuthCookies(res);
+        return res.json({ message: "Signed out everywhere", revoked });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// Signed-in pages, served through the shell so the user, team and theme arrive with the HTML.
+// noTeam: only until a team is picked (the team setter); admin: admins only
+const APP_PAGES = [
+    { route: "/pref", file: "pref.html", noTeam: true },
+    { route: "/settings", file: "settings.html" },
+    { route: "/dashboard", file: "dash.html" },
+    { route: "/news", file: "news.html" },
+    { route: "/schedule", file: "schedule.html" },
+    { route: "/stats", file: "stats.html" },
+    { route: "/teams", file: "teams.html" },
+    { route: "/game/:eventId", file: "game.html" },
+    { route: "/player/:athleteId", file: "player.html" },
+    { route: "/compare", file: "compare.html" },
+    { route: "/admin", file: "admin.html", admin: true },
+];
+
+// Serve Page Helper
+// Brief: One handler for every signed-in page. Anything the page may not show, or a user who
+// no longer exists, goes home.
+function servePage({ file, noTeam = false, admin = false }) {
+    return async (req, res) => {
+        try {
+            const bootstrap = await loadBootstrap(req.user.id);
+            if (!bootstrap) return res.redirect("/");
+            if (noTeam && bootstrap.user.preferences.team) return res.redirect("/");
+            if (admin && bootstrap.user.role !== "admin") return res.redirect("/");
+
+            return res.type("html").send(await renderPage(file, bootstrap));
+        } catch (err) {
+            logger.error("Page failed", { route: routeLabel(req), err });
+            return res.redirect("/");
+        }
+    };
+}
+
+for (const page of APP_PAGES) {
+    app.get(page.route, requireAuthPage, servePage(page));
+}
+
+// App dash.html Get Request
+// Brief: rejects request and redirects to /dashboard
+app.get("/dash.html", (req,res) => {
+    return res.redirect("/dashboard");
+})
+
+// App news.html Get Request
+// Brief: rejects request and redirects to /news
+app.get("/news.html", (req, res) => {
+    return res.redirect("/news")
+});
+
+// App players.html Get Request
+// Brief: rejects request and redirects to /players
+app.get("/players.html", (req, res) => {
+    return res.redirect("/players")
+});
+
+// App schedule.html Get Request
+// Brief: rejects request and redirects to /schedule
+app.get("/schedule.html", (req, res) => {
+    return res.redirect("/schedule")
+});
+
+// App stats.html Get Request
+// Brief: rejects request and redirects to /stats
+app.get("/stats.html", (req, res) => {
+    return res.redirect("/stats")
+});
+
+// App teams.html Get Request
+// Brief: rejects request and redirects to /teams
+app.get("/teams.html", (req, res) => {
+    return res.redirect("/teams")
+});
+
+// App game.html Get Request
+// Brief: game pages need an event id, so send direct hits to the schedule
+app.get("/game.html", (req, res) => {
+    return res.redirect("/schedule")
+});
+
+// App player.html Get Request
+// Brief: player pages need an athlete id, so send direct hits to the stats page
+app.get("/player.html", (req, res) => {
+    return res.redirect("/stats")
+});
+
+// App compare.html Get Request
+// Brief: rejects request and redirects to /compare
+app.get("/compare.html", (req, res) => {
+    return res.redirect("/compare")
+});
+
+// App admin.html Get Request
+// Brief: rejects request and redirects to /admin
+app.get("/admin.html", (req, res) => {
+    return res.redirect("/admin");
+});
+
+// Direct .html hits for the shell pages go through their routes
+app.get("/settings.html", (req, res) => {
+    return res.redirect("/settings");
+});
+
+app.get("/pref.html", (req, res) => {
+    return res.redirect("/pref");
+});
+
+// App Team Get Request
+// Brief: Serves specified team info from json object
+app.get('/api/team/:id', async (req, res) => {
     try {
+        const team = await getTeamByPreferenceKey(req.params.id);
+        if (!team) {
+            return res.status(404).json({ message: "Team not found" });
+        }
+        res.json(team);
+    } catch (err) {
+        return serverError(req, res, err, { message: "Server Error" });
+    }
+});
+
+// App Teams Get Request
+// Brief: Every team from teams.json as a list, each with its preference key as `key`
+app.get('/api/teams', async (req, res) => {
+    try {
+        res.json({ teams: await getAllTeams() });
+    } catch (err) {
+        return serverError(req, res, err, { message: "Server Error" });
+    }
+});
+
+// App Preferred Data Get Request
+// Brief: Stats, players and schedule for the user's followed teams
+// ?team=<key> picks one followed team (default: primary); ?team=all returns every followed team under `teams`
+// ?season=<year>&seasonType=pre|regular|post picks the season (default: current regular season)
+// Sections ESPN could not deliver come back empty, with `degraded: true` and a reason per section under `errors`
+app.get("/api/preferred-data", requireAuth, preferredDataLimit, async (req, res) => {
+    try {
+        if (!req.user?.username) {
+            return res.status(401).json({ error: "not logged in" });
+        }
+
         const db = getDB();
         const user = await db.collection("users").findOne(
-            { username: req.user?.username },
-            { projection: { preferences: 1, username: 1 } }
+            { username: req.user.username },
+            { projection: { username: 1, preferences: 1 } }
         );
 
-        // If user missing or already has a team, go home
-        if (!user || user.preferences?.team) {
-            return res.redirect("/");
+        if (!user) {
+            return res.status(401).json({ error: "not logged in" });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/pref.html"));
+        const followedTeams = getFollowedTeams(user.preferences ?? {});
+        const primaryKey = followedTeams.find((followed) => followed.primary)?.key;
+        const requested = typeof req.query.team === "string" && req.query.team.trim() ? req.query.team.trim() : primaryKey;
+        const teamKeys = requested === "all" ? followedTeams.map((followed) => followed.key) : [requested];
+
+        if (!teamKeys[0]) {
+            return res.status(400).json({ error: "No valid preferred team set" });
+        }
+        if (teamKeys.some((key) => !followedTeams.some((followed) => followed.key === key))) {
+            return res.status(400).json({ error: "Team is not one of your followed teams" });
+        }
+
+        const includeParam = String(req.query.include || "stats,players,schedule");
+        const include = new Set(
+            includeParam
+                .split(",")
+                .map((value) => value.trim().toLowerCase())
+                .filter((value) => value === "stats" || value === "players" || value === "schedule")
+        );
+
+        if (include.size === 0) {
+            include.add("stats");
+            include.add("players");
+            include.add("schedule");
+        }
+
+        const seasonQuery = parseSeasonQuery(req.query);
+        if (seasonQuery.error) {
+            return res.status(400).json({ error: seasonQuery.error });
+        }
+        const { season, seasonType } = seasonQuery;
+        // Players are cached with Standard points; re-score them in the user's format
+        const scoring = resolveScoring(user.preferences ?? {});
+        const results = await Promise.all(teamKeys.map(async (teamKey) => {
+            const team = await getTeamByPreferenceKey(teamKey);
+            if (!team) {
+                return null;
+            }
+            const preferredData = await getPreferredData({ team, season, seasonType, include });
+            preferredData.players = applyFantasyScoring(preferredData.players, scoring.rules);
+            return { teamKey, team, ...preferredData };
+        }));
+
+        const base = {
+            username: user.username,
+            preferences: user.preferences ?? {},
+            followedTeams,
+            season,
+            seasonType,
+            seasonRange: getSeasonRange(),
+            fantasy: scoring,
+        };
+
+        if (requested === "all") {
+            const teams = results.filter(Boolean);
+            return res.json({ ...base, degraded: teams.some((entry) => entry.degraded), teams });
+        }
+        if (!results[0]) {
+            return res.status(400).json({ error: "No valid preferred team set" });
+        }
+        return res.json({ ...base, ...results[0] });
     } catch (err) {
-        return res.redirect("/");
+        return serverError(req, res, err);
     }
 });
 
-// App Settings Get Request
-// Brief: Serves settings.html IFF the user is logged in
-app.get("/settings", requireAuthPage, async (req, res) => {
+// App News API Get Request
+// Brief: Pages through stored articles for the user, minus muted keywords/sources
+// sort=relevance (default) ranks by team, players, recency and source and explains each score
+// sort=recent lists articles tagged with any followed team, newest first
+app.get("/api/news", requireAuth, async (req, res) => {
     try {
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { username: req.user?.username },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(401).json({ error: "not logged in" });
+        }
+
+        const preferences = user.preferences ?? {};
+        const followedTeams = getFollowedTeams(preferences);
+        const teamKey = followedTeams.find((followed) => followed.primary)?.key ?? null;
+        const team = await getTeamByPreferenceKey(teamKey);
+        const sort = req.query.sort === "recent" ? "recent" : "relevance";
+        const paging = { page: req.query.page, pageSize: req.query.pageSize };
+
+        let news;
+        if (sort === "recent") {
+            news = await listNews({
+                teamKeys: followedTeams.map((followed) => followed.key),
+                mutedKeywords: preferences.mutedKeywords ?? [],
+                mutedSources: preferences.mutedSources ?? [],
+                ...paging,
+            });
+        } else {
+            const players = peekTeamPlayers({ team }) ?? [];
+            news = await listRankedNews({
+                preferences,
+                teamKey,
+                otherTeamKeys: followedTeams.filter((followed) => !followed.primary).map((followed) => followed.key),
+                rosterNames: players.map((player) => player.name).filter((name) => name && name !== "Unknown"),
+                ...paging,
+            });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/settings.html"));
+        return res.json({ team: teamKey, teams: followedTeams.map((followed) => followed.key), sort, ...news });
     } catch (err) {
-        return res.redirect("/");
+        return serverError(req, res, err);
     }
 });
 
-// App Dashboard Get Request
-// Brief: Serves dashboard page IFF user is logged in
-app.get("/dashboard", requireAuthPage, async (req,res) => {
+// App Odds Get Request
+// Brief: Returns normalized lines (moneyline, spread, total, no-vig win probability) for every followed team
+// ?team= narrows it to one of the followed teams
+app.get("/api/odds", requireAuth, async (req, res) => {
     try {
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { username: req.user?.username },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(401).json({ error: "not logged in" });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/dash.html"));
+        let teamKeys = getFollowedTeams(user.preferences ?? {}).map((followed) => followed.key);
+        if (typeof req.query.team === "string") {
+            const teamKey = req.query.team.trim();
+            if (!teamKeys.includes(teamKey)) {
+                return res.status(400).json({ error: "team must be one of the teams you follow" });
+            }
+            teamKeys = [teamKey];
+        }
+
+        // A followed key that no longer names a team (e.g. an old full-name key) is skipped
+        const odds = await Promise.all(teamKeys.map(async (key) => {
+            const team = await getTeamByPreferenceKey(key);
+            return team ? { team: key, odds: await getTeamOdds(team.id) } : null;
+        }));
+        return res.json({ teams: odds.filter(Boolean) });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Game Data Get Request
+// Brief: Score by quarter, scoring plays, team box score and player leaders for one ESPN event
+app.get("/api/game/:eventId", requireAuth, async (req, res) => {
+    try {
+        if (!isValidEventId(req.params.eventId)) {
+            return res.status(400).json({ error: "Invalid event id" });
+        }
+
+        const game = await getGame(req.params.eventId);
+        if (!game) {
+            return res.status(404).json({ error: "Game not found" });
+        }
+        return res.json(game);
     } catch (err) {
-        return res.redirect("/");
+        if (err instanceof UpstreamError) return upstreamError(req, res, err);
+        return serverError(req, res, err);
     }
 });
 
-// App News Get Request
-// Brief: Serves news page IFF user is logged in
-app.get("/news", requireAuthPage, async (req,res) => {
+// App Player Data Get Request
+// Brief: Bio, every season/team stat line, career totals and the game log for one ESPN athlete
+// ?season=<year>&seasonType=pre|regular|post picks the game log season; ?team=<key> hints where to find the bio
+app.get("/api/player/:athleteId", requireAuth, async (req, res) => {
     try {
+        if (!isValidAthleteId(req.params.athleteId)) {
+            return res.status(400).json({ error: "Invalid athlete id" });
+        }
+
+        const seasonQuery = parseSeasonQuery(req.query);
+        if (seasonQuery.error) {
+            return res.status(400).json({ error: seasonQuery.error });
+        }
+
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { username: req.user?.username },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(401).json({ error: "not logged in" });
+        }
+
+        const hintTeam = typeof req.query.team === "string" ? await getTeamByPreferenceKey(req.query.team) : null;
+        const profile = await getPlayerProfile({ athleteId: req.params.athleteId, ...seasonQuery, teamId: hintTeam?.id ?? null });
+        if (!profile) {
+            return res.status(404).json({ error: "Player not found" });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/news.html"));
+        // Stat lines are cached with Standard points; re-score them in the user's format
+        const scoring = resolveScoring(user.preferences ?? {});
+        return res.json({
+            ...profile,
+            seasons: applyFantasyScoring(profile.seasons, scoring.rules),
+            career: applyFantasyScoring([profile.career], scoring.rules)[0],
+            gameLog: applyFantasyScoring(profile.gameLog, scoring.rules),
+            seasonRange: getSeasonRange(),
+            fantasy: scoring,
+        });
     } catch (err) {
-        return res.redirect("/");
+        if (err instanceof UpstreamError) return upstreamError(req, res, err);
+        return serverError(req, res, err);
     }
 });
 
-// App Schedule Get Request
-// Brief: Serves schedule page IFF user is logged in
-app.get("/schedule", requireAuthPage, async (req,res) => {
+// App Compare Data Get Request
+// Brief: Two to four teams side by side, each stat with its league rank and percentile across all 32 teams
+// ?teams=Buffalo,Miami picks the teams (default: primary team and its next opponent)
+// ?season=<year>&seasonType=pre|regular|post picks the season (default: current regular season)
+// Matchup suggestions are always for the primary team's next opponent, using current season stats
+// degraded (with missingTeams and missingWeeks) means ESPN failed part of the league, so ranks cover fewer teams
+app.get("/api/compare", requireAuth, async (req, res) => {
     try {
+        const seasonQuery = parseSeasonQuery(req.query);
+        if (seasonQuery.error) {
+            return res.status(400).json({ error: seasonQuery.error });
+        }
+
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { username: req.user?.username },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(401).json({ error: "not logged in" });
+        }
+
+        const primaryKey = getFollowedTeams(user.preferences ?? {}).find((followed) => followed.primary)?.key ?? null;
+        const primaryTeam = await getTeamByPreferenceKey(primaryKey);
+        const nextOpponent = primaryTeam ? await getNextOpponent(primaryTeam).catch(() => null) : null;
+
+        const requested = typeof req.query.teams === "string"
+            ? req.query.teams.split(",").map((key) => key.trim()).filter(Boolean)
+            : [primaryKey, nextOpponent?.opponentKey].filter(Boolean);
+        const teamKeys = Array.from(new Set(requested));
+        if (teamKeys.length < MIN_COMPARE_TEAMS || teamKeys.length > MAX_COMPARE_TEAMS) {
+            return res.status(400).json({ error: `Pick between ${MIN_COMPARE_TEAMS} and ${MAX_COMPARE_TEAMS} teams` });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/schedule.html"));
+        const teams = await Promise.all(teamKeys.map((key) => getTeamByPreferenceKey(key)));
+        const unknown = teamKeys.find((key, i) => !teams[i]);
+        if (unknown) {
+            return res.status(400).json({ error: `Unknown team: ${unknown}. Use location-only team names.` });
+        }
+
+        const table = await getLeagueStatTable(seasonQuery);
+        let matchups = null;
+        if (primaryKey && nextOpponent) {
+            const currentTable = await getLeagueStatTable();
+            matchups = { teamKey: primaryKey, ...nextOpponent, matchups: suggestMatchups(currentTable, primaryKey, nextOpponent.opponentKey) };
+        }
+
+        return res.json({
+            season: table.season,
+            seasonType: table.seasonType,
+            seasonRange: getSeasonRange(),
+            teamCount: table.teamCount,
+            degraded: table.degraded,
+            missingTeams: table.missingTeams,
+            missingWeeks: table.missingWeeks,
+            teams: teamKeys.map((key, i) => ({ key, id: teams[i].id, name: teams[i].name, colors: teams[i].colors })),
+            metrics: compareTeams(table, teamKeys),
+            nextOpponent: matchups,
+        });
     } catch (err) {
-        return res.redirect("/");
+        return serverError(req, res, err);
     }
 });
 
-// App Stats Get Request
-// Brief: Serves stats page IFF user is logged in
-app.get("/stats", requireAuthPage, async (req,res) => {
+// App Live Get Request
+// Brief: Server-Sent Events stream of score, clock, possession, down-and-distance and new scoring plays
+// for in-progress games involving the user's followed teams. One shared poller feeds every stream.
+app.get("/api/live", requireAuth, async (req, res) => {
     try {
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { username: req.user?.username },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(401).json({ error: "not logged in" });
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/stats.html"));
+        const followedTeams = getFollowedTeams(user.preferences ?? {});
+        const teams = await Promise.all(followedTeams.map((followed) => getTeamByPreferenceKey(followed.key)));
+        const detach = addLiveClient(res, teams.filter(Boolean).map((team) => team.id));
+        req.on("close", detach);
     } catch (err) {
-        return res.redirect("/");
+        if (res.headersSent) return res.end();
+        return serverError(req, res, err);
     }
 });
 
-// App Teams Get Request
-// Brief: Serves teams page IFF user is logged in
-app.get("/teams", requireAuthPage, async (req,res) => {
+// App Standings Get Request
+// Brief: Division tables built from completed games, ordered with the NFL division tiebreakers
+// ?season=<year>&seasonType=pre|regular|post picks the season (default: current regular season)
+app.get("/api/standings", requireAuth, async (req, res) => {
+    try {
+        const seasonQuery = parseSeasonQuery(req.query);
+        if (seasonQuery.error) {
+            return res.status(400).json({ error: seasonQuery.error });
+        }
+
+        const standings = await getStandings(seasonQuery);
+        return res.json(standings);
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// calendarUrls
+// @param1: req, used for the scheme and host the user reached us on
+// @param2: token, the user's calendar token
+// Brief: https:// link for copying and webcal:// link that opens calendar apps
+function calendarUrls(req, token) {
+    const url = `${req.protocol}://${req.get("host")}/cal/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, "webcal:") };
+}
+
+// App Calendar Feed Get Request
+// Brief: iCalendar feed of every followed team's games this season. No login; the secret token
+// in the URL identifies the user so calendar apps can subscribe to it.
+app.get("/cal/:token.ics", async (req, res) => {
     try {
+        if (!isValidCalendarToken(req.params.token)) {
+            return res.status(404).send("Calendar not found");
+        }
+
         const db = getDB();
         const user = await db.collection("users").findOne(
-            {username: req.user?.username},
-            {projection: {preferences: 1, username: 1}}
+            { calendarToken: req.params.token },
+            { projection: { preferences: 1 } }
         );
 
         if (!user) {
-            return res.redirect("/");
+            return res.status(404).send("Calendar not found");
         }
 
-        return res.sendFile(path.join(__dirname, "../pages/teams.html"));
+        const teamKeys = getFollowedTeams(user.preferences ?? {}).map((followed) => followed.key);
+        const calendar = await buildTeamCalendar(teamKeys);
+        if (!calendar.ok) {
+            // A partial feed would delete the missing games from subscribers' calendars; ask them to come back instead
+            res.set("Retry-After", String(calendar.error.retryAfter ?? DEFAULT_UPSTREAM_RETRY_AFTER_SECONDS));
+            return res.status(503).send("Schedule temporarily unavailable");
+        }
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Cache-Control", "private, no-cache");
+        return res.send(calendar.data);
     } catch (err) {
-        return res.redirect("/");
+        logger.error("Route failed", { route: routeLabel(req), err });
+        return res.status(500).send("Server error");
     }
 });
 
+// App Calendar Get Request
+// Brief: The user's calendar feed URLs, or nulls when no feed has been created yet
+app.get("/api/calendar", requireAuth, async (req, res) => {
+    try {
+        const db = getDB();
+        const user = await db.collection("users").findOne(
+            { username: req.user?.username },
+            { projection: { calendarToken: 1 } }
+        );
 
-// App dash.html Get Request
-// Brief: rejects request and redirects to /dashboard
-app.get("/dash.html", (req,res) => {
-    return res.redirect("/dashboard");
-})
+        if (!user) {
+            return res.status(401).json({ error: "not logged in" });
+        }
 
-// App news.html Get Request
-// Brief: rejects request and redirects to /news
-app.get("/news.html", (req, res) => {
-    return res.redirect("/news")
+        return res.json(user.calendarToken ? calendarUrls(req, user.calendarToken) : { url: null, webcalUrl: null });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
 });
 
-// App players.html Get Request
-// Brief: rejects request and redirects to /players
-app.get("/players.html", (req, res) => {
-    return res.redirect("/players")
-});
+// App Calendar Token Post Request
+// Brief: Creates the user's calendar feed, or replaces its token so the old URL stops working
+app.post("/api/calendar/token", requireAuth, async (req, res) => {
+    try {
+        if (!req.user?.id) {
+            return res.status(401).json({ error: "not logged in" });
+        }
 
-// App schedule.html Get Request
-// Brief: rejects request and redirects to /schedule
-app.get("/schedule.html", (req, res) => {
-    return res.redirect("/schedule")
-});
+        const token = createCalendarToken();
+        const db = getDB();
+        const result = await db.collection("users").updateOne(
+            { _id: new ObjectId(req.user.id) },
+            { $set: { calendarToken: token } }
+        );
 
-// App stats.html Get Request
-// Brief: rejects request and redirects to /stats
-app.get("/stats.html", (req, res) => {
-    return res.redirect("/stats")
-});
+        if (result.matchedCount === 0) {
+            return res.status(401).json({ error: "not logged in" });
+        }
 
-// App teams.html Get Request
-// Brief: rejects request and redirects to /teams
-app.get("/teams.html", (req, res) => {
-    return res.redirect("/teams")
+        return res.json(calendarUrls(req, token));
+    } catch (err) {
+        return serverError(req, res, err);
+    }
 });
 
-// Protect direct .html hits for restricted pages
-app.get("/settings.html", requireAuthPage, (req, res) => {
-    return res.sendFile(path.join(__dirname, "../pages/settings.html"));
-});
+// App Notifications Get Request
+// Brief: The user's in-app inbox, newest first, with the unread count
+// ?unread=1 lists only unread entries, ?limit=<n> caps the list (default 20, max 50)
+app.get("/api/notifications", requireAuth, async (req, res) => {
+    try {
+        if (!req.user?.id) {
+            return res.status(401).json({ error: "not logged in" });
+        }
 
-app.get("/pref.html", requireAuthPage, (req, res) => {
-    return res.sendFile(path.join(__dirname, "../pages/pref.html"));
+        const inbox = await listInbox(new ObjectId(req.user.id), {
+            limit: req.query.limit,
+            unreadOnly: req.query.unread === "1",
+        });
+        return res.json(inbox);
+    } catch (err) {
+        return serverError(req, res, err);
+    }
 });
 
-// App Team Get Request
-// Brief: Serves specified team info from json object
-app.get('/api/team/:id', async (req, res) => {
+// App Notifications Read Post Request
+// Brief: Marks inbox entries as read; { ids: [...] } for some, no ids for all of them
+app.post("/api/notifications/read", requireAuth, async (req, res) => {
     try {
-        const team = await getTeamByPreferenceKey(req.params.id);
-        if (!team) {
-            return res.status(404).json({ message: "Team not found" });
+        if (!req.user?.id) {
+            return res.status(401).json({ error: "not logged in" });
         }
-        res.json(team);
+
+        const ids = req.body?.ids;
+        if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => typeof id !== "string"))) {
+            return res.status(400).json({ error: "ids must be a list of notification ids" });
+        }
+
+        const updated = await markInboxRead(new ObjectId(req.user.id), ids ?? null);
+        return res.json({ updated });
     } catch (err) {
-        res.status(500).json({message: "Server Error"});
+        return serverError(req, res, err);
     }
 });
 
-app.get("/api/preferred-data", requireAuth, async (req, res) => {
+// App Push Key Get Request
+// Brief: VAPID public key browsers need to subscribe to Web Push (null when push is not configured)
+app.get("/api/notifications/push-key", requireAuth, (req, res) => {
+    return res.json({ publicKey: getVapidPublicKey() });
+});
+
+// App Push Subscription Post Request
+// Brief: Saves this browser's PushSubscription so notifications can reach it
+app.post("/api/notifications/push", requireAuth, async (req, res) => {
     try {
-        if (!req.user?.username) {
+        const subscription = req.body?.subscription;
+        const valid = typeof subscription?.endpoint === "string" && /^https:\/\//.test(subscription.endpoint)
+            && typeof subscription.keys?.p256dh === "string" && typeof subscription.keys?.auth === "string";
+        if (!valid) {
+            return res.status(400).json({ error: "Invalid push subscription" });
+        }
+
+        if (!req.user?.id) {
             return res.status(401).json({ error: "not logged in" });
         }
 
+        // Replace any earlier copy of this endpoint and keep the newest few browsers
+        const entry = { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth }, createdAt: new Date() };
         const db = getDB();
-        const user = await db.collection("users").findOne(
-            { username: req.user.username },
-            { projection: { username: 1, preferences: 1 } }
+        const userId = new ObjectId(req.user.id);
+        await db.collection("users").updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint: entry.endpoint } } });
+        await db.collection("users").updateOne(
+            { _id: userId },
+            { $push: { pushSubscriptions: { $each: [entry], $slice: -MAX_PUSH_SUBSCRIPTIONS } } }
         );
 
-        if (!user) {
-            return res.status(401).json({ error: "not logged in" });
+        return res.status(201).json({ message: "Push notifications enabled" });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Push Subscription Delete Request
+// Brief: Forgets one browser's subscription ({ endpoint })
+app.delete("/api/notifications/push", requireAuth, async (req, res) => {
+    try {
+        if (typeof req.body?.endpoint !== "string") {
+            return res.status(400).json({ error: "endpoint is required" });
         }
 
-        const preferredTeamKey = user.preferences?.team;
-        const team = await getTeamByPreferenceKey(preferredTeamKey);
-        if (!team) {
-            return res.status(400).json({ error: "No valid preferred team set" });
+        if (!req.user?.id) {
+            return res.status(401).json({ error: "not logged in" });
         }
 
-        const includeParam = String(req.query.include || "stats,players,schedule");
-        const include = new Set(
-            includeParam
-                .split(",")
-                .map((value) => value.trim().toLowerCase())
-                .filter((value) => value === "stats" || value === "players" || value === "schedule")
+        await getDB().collection("users").updateOne(
+            { _id: new ObjectId(req.user.id) },
+            { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } }
         );
+        return res.json({ message: "Push notifications disabled" });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
 
-        if (include.size === 0) {
-            include.add("stats");
-            include.add("players");
-            include.add("schedule");
+// Admin API
+// Every route needs an admin session (requireAuth + requireAdmin)
+
+// adminUserId
+// @param1: req
+// Brief: the :id route param as an ObjectId, or null when it isn't one
+function adminUserId(req) {
+    return ObjectId.isValid(req.params.id) ? new ObjectId(req.params.id) : null;
+}
+
+// App Admin Users Get Request
+// Brief: Searches users by username prefix, email or id (?q=), with ?limit= and ?offset= paging
+app.get("/api/admin/users", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        return res.json(await searchUsers(req.query));
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin User Patch Request
+// Brief: Sets { role, disabled, reason }. Disabling signs the user out everywhere.
+// Admins can't disable or demote themselves, so the site always keeps the admin making the change.
+app.patch("/api/admin/users/:id", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const userId = adminUserId(req);
+        if (!userId) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        const { role, disabled, reason } = req.body ?? {};
+        if (req.params.id === req.user.id && (disabled === true || (role !== undefined && role !== "admin"))) {
+            return res.status(400).json({ error: "You can't disable or demote yourself" });
         }
 
-        const season = DEFAULT_SEASON;
-        const preferredData = await getPreferredData({ team, season, include });
+        const result = await updateUserAccess(userId, { role, disabled, reason });
+        if (!result) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        logger.info("Admin updated user", { admin: req.user.username, userId: req.params.id, role, disabled });
+        return res.json({ user: result });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
 
+// App Admin Force Reset Post Request
+// Brief: Signs the user out everywhere, blocks login until they reset, and emails them a reset link
+app.post("/api/admin/users/:id/force-reset", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const userId = adminUserId(req);
+        const result = userId ? await forcePasswordReset(userId) : null;
+        if (!result) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        logger.info("Admin forced password reset", { admin: req.user.username, userId: req.params.id });
         return res.json({
-            username: user.username,
-            preferences: user.preferences ?? {},
-            team,
-            season,
-            ...preferredData,
+            message: result.emailed ? "Password reset required; a reset link was emailed" : "Password reset required; the account has no email on file",
+            ...result,
         });
     } catch (err) {
-        return res.status(500).json({ error: "Server error" });
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin Revoke Sessions Post Request
+// Brief: Signs the user out of every browser
+app.post("/api/admin/users/:id/revoke-sessions", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const userId = adminUserId(req);
+        if (!userId) {
+            return res.status(404).json({ error: "User not found" });
+        }
+        const revoked = await revokeAllSessions(userId, "admin");
+        logger.info("Admin revoked sessions", { admin: req.user.username, userId: req.params.id, revoked });
+        return res.json({ message: `Revoked ${revoked} sessions`, revoked });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin Cache Get Request
+// Brief: Cache counters plus the in-memory keys starting with ?prefix= (default espn:)
+app.get("/api/admin/cache", requireAuth, requireAdmin, (req, res) => {
+    const prefix = typeof req.query.prefix === "string" ? req.query.prefix : "espn:";
+    return res.json({ stats: getCacheStats(), keys: listCacheKeys(prefix) });
+});
+
+// App Admin Cache Delete Request
+// Brief: Flushes ?pattern= from memory and Mongo; a trailing * matches by prefix (e.g. espn:players:2025:*)
+app.delete("/api/admin/cache", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const pattern = typeof req.query.pattern === "string" ? req.query.pattern.trim() : "";
+        if (!pattern || pattern === "*") {
+            return res.status(400).json({ error: "A key or prefix* pattern is required" });
+        }
+        const removed = await invalidateCache(pattern);
+        logger.info("Admin flushed cache", { admin: req.user.username, pattern, removed });
+        return res.json({ pattern, removed });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin Upstream Get Request
+// Brief: ESPN request and error counts over the last hour, and where data is coming from
+app.get("/api/admin/upstream", requireAuth, requireAdmin, (req, res) => {
+    return res.json({ config: getUpstreamConfig(), ...getUpstreamStats() });
+});
+
+// App Admin Jobs Get Request
+// Brief: Every scheduled job with its last run, result and next due time
+app.get("/api/admin/jobs", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        return res.json({ jobs: await getJobStatuses() });
+    } catch (err) {
+        return serverError(req, res, err);
     }
 });
 
-console.log("Connecting to database and starting server...");
+// App Admin Teams Get Request
+// Brief: Every team as served (teams.json plus overrides) and the overridden fields by team key
+app.get("/api/admin/teams", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        return res.json({ teams: await getAllTeams(), overrides: getTeamOverrides() });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin Team Put Request
+// Brief: Overrides a team's { colors, stadium, city } without editing teams.json
+app.put("/api/admin/teams/:key", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = validateTeamOverride(req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        const team = await setTeamOverride(req.params.key, result.override, req.user.username);
+        if (!team) {
+            return res.status(404).json({ error: "Team not found" });
+        }
+        logger.info("Admin overrode team", { admin: req.user.username, team: req.params.key, fields: Object.keys(result.override) });
+        return res.json({ team });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+// App Admin Team Delete Request
+// Brief: Drops a team's override so it goes back to the teams.json values
+app.delete("/api/admin/teams/:key", requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const removed = await clearTeamOverride(req.params.key);
+        if (!removed) {
+            return res.status(404).json({ error: "No override for that team" });
+        }
+        return res.json({ team: await getTeamByPreferenceKey(req.params.key) });
+    } catch (err) {
+        return serverError(req, res, err);
+    }
+});
+
+logger.info("Connecting to database and starting server");
 await connectDB();
-app.listen(process.env.PORT || 3000);
+await migrateFollowedTeams();
+await ensureUserIndexes();
+await promoteConfiguredAdmins();
+await loadTeamOverrides();
+await ensureAuthTokenIndexes();
+await ensureSessionIndexes();
+await ensureCalendarIndex();
+// Rate limit counters are per process unless RATE_LIMIT_STORE=mongo shares them
+if (process.env.RATE_LIMIT_STORE === "mongo") {
+    setRateLimitStore(await createMongoRateLimitStore());
+}
+// ESPN responses are shared through Mongo unless CACHE_PERSIST=off
+if (process.env.CACHE_PERSIST !== "off") {
+    setPersistentCacheTier(await createMongoCacheTier());
+}
+// Feed polling runs in-process unless NEWS_POLL=off
+if (process.env.NEWS_POLL !== "off") {
+    await startNewsPoller();
+}
+// Notification rules run in-process unless NOTIFY_POLL=off
+if (process.env.NOTIFY_POLL !== "off") {
+    await startNotificationJobs();
+}
+// Every team's ESPN data is kept warm unless PREFETCH=off; a Mongo lock lets one process run each job
+if (process.env.PREFETCH !== "off") {
+    definePrefetchJobs();
+}
+startScheduler();
+const port = process.env.PORT || 3000;
+app.listen(port, () => logger.info("Listening", { port }));
 
 // static assets (after protected routes)
 app.use(express.static(path.join(__dirname, "../pages")));
+
+// Errors nothing above caught: bad JSON bodies get their 4xx, anything else is logged and answered 500
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        logger.error("Route failed after responding", { route: routeLabel(req), err });
+        return res.end();
+    }
+    const status = err.status ?? err.statusCode;
+    if (status >= 400 && status < 500) {
+        return res.status(status).json({ error: err.expose ? err.message : "Bad request" });
+    }
+    return serverError(req, res, err);
+});
@@ -0,0 +1,222 @@
+import { fetchCurrentScoreboard, fetchGameSummary } from "./fetch.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_LIVE_POLL_MS = 1000 * 15;
+const DEFAULT_IDLE_CHECK_MS = 1000 * 60 * 10;
+const HEARTBEAT_MS = 1000 * 25;
+
+// One entry per open /api/live connection: { send(event, data), teamIds: Set<number> }
+const clients = new Set();
+// Last state sent for each tracked game, keyed by event id.
+const games = new Map();
+
+let pollTimer = null;
+let heartbeatTimer = null;
+let polling = false;
+let lastPollAt = 0;
+
+function livePollMs() {
+  return Number(process.env.LIVE_POLL_MS) || DEFAULT_LIVE_POLL_MS;
+}
+
+function idleCheckMs() {
+  return Number(process.env.LIVE_IDLE_MS) || DEFAULT_IDLE_CHECK_MS;
+}
+
+function trackedTeamIds() {
+  const ids = new Set();
+  for (const client of clients) {
+    for (const id of client.teamIds) ids.add(id);
+  }
+  return ids;
+}
+
+function involves(game, teamIds) {
+  return teamIds.has(game.home?.id) || teamIds.has(game.away?.id);
+}
+
+function isLive(game) {
+  return game.state === "in" && !game.completed;
+}
+
+// The part of a scoreboard row clients render; compared between polls to skip no-op updates.
+function toUpdate(game) {
+  return {
+    eventId: game.eventId,
+    state: game.state,
+    status: game.status,
+    completed: game.completed,
+    period: game.period,
+    clock: game.clock,
+    home: game.home,
+    away: game.away,
+    situation: game.situation,
+  };
+}
+
+function broadcast(game, event, data) {
+  for (const client of clients) {
+    if (involves(game, client.teamIds)) client.send(event, data);
+  }
+}
+
+/**
+ * Scoring plays only change when the score does, so the game summary is fetched
+ * on first sight and after each score change rather than on every poll.
+ */
+async function refreshScoringPlays(game, previous) {
+  const scoreChanged = !previous || previous.update.home.score !== game.home.score || previous.update.away.score !== game.away.score;
+  if (!scoreChanged) return previous.scoringPlays;
+
+  const result = await fetchGameSummary(game.eventId);
+  if (!result.ok || !result.data) return previous?.scoringPlays ?? [];
+  const summary = result.data;
+
+  const known = new Set((previous?.scoringPlays ?? []).map((play) => play.id));
+  if (previous) {
+    for (const play of summary.scoringPlays) {
+      if (!known.has(play.id)) broadcast(game, "scoringPlay", { eventId: game.eventId, play });
+    }
+  }
+  return summary.scoringPlays;
+}
+
+async function trackGame(game) {
+  const previous = games.get(game.eventId);
+  const update = toUpdate(game);
+  if (previous && JSON.stringify(previous.update) !== JSON.stringify(update)) {
+    broadcast(game, "game", update);
+  }
+
+  const scoringPlays = isLive(game) || game.completed ? await refreshScoringPlays(game, previous) : [];
+  games.set(game.eventId, { game, update, scoringPlays });
+  // First sighting: clients have no history for this game yet, so send the plays so far with it.
+  if (!previous) broadcast(game, "game", { ...update, scoringPlays });
+}
+
+/**
+ * How long to wait before the next poll: the live interval while any tracked game
+ * is in progress, otherwise until the next tracked kickoff (at most LIVE_IDLE_MS).
+ */
+function nextDelay(tracked) {
+  if (tracked.some(isLive)) return livePollMs();
+
+  const now = Date.now();
+  const kickoffs = tracked
+    .filter((game) => game.state === "pre")
+    .map((game) => new Date(game.dateTime).getTime())
+    .filter((time) => Number.isFinite(time) && time > now);
+  const untilKickoff = kickoffs.length > 0 ? Math.min(...kickoffs) - now : Infinity;
+  return Math.max(livePollMs(), Math.min(idleCheckMs(), untilKickoff));
+}
+
+function schedulePoll(delayMs) {
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, delayMs);
+  pollTimer.unref?.();
+}
+
+async function poll() {
+  pollTimer = null;
+  if (clients.size === 0 || polling) return;
+
+  polling = true;
+  lastPollAt = Date.now();
+  let delay = idleCheckMs();
+  try {
+    const result = await fetchCurrentScoreboard();
+    if (!result.ok) {
+      // Keep the cadence the last good poll set, so a game in progress is retried at the live interval
+      logger.warn("Live poll could not load the scoreboard", { kind: result.error.kind });
+      delay = nextDelay(Array.from(games.values(), (entry) => entry.game));
+    } else {
+      const teamIds = trackedTeamIds();
+      const tracked = result.data.filter((game) => game.eventId && involves(game, teamIds));
+      for (const game of tracked) {
+        await trackGame(game);
+      }
+      // Forget games that dropped off the scoreboard (the week rolled over).
+      const current = new Set(tracked.map((game) => game.eventId));
+      for (const eventId of games.keys()) {
+        if (!current.has(eventId)) games.delete(eventId);
+      }
+      delay = nextDelay(tracked);
+    }
+  } catch (err) {
+    logger.error("Live poll failed", { err });
+  } finally {
+    polling = false;
+  }
+
+  if (clients.size > 0) schedulePoll(delay);
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  // Comment lines keep proxies from closing idle streams.
+  heartbeatTimer = setInterval(() => {
+    for (const client of clients) client.send(null, null);
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref?.();
+}
+
+function stopWhenIdle() {
+  if (clients.size > 0) return;
+  if (pollTimer) clearTimeout(pollTimer);
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+  games.clear();
+}
+
+/**
+ * Every tracked game the client follows, with the scoring plays seen so far.
+ */
+function snapshotFor(teamIds) {
+  return Array.from(games.values())
+    .filter(({ game }) => involves(game, teamIds))
+    .map(({ update, scoringPlays }) => ({ ...update, scoringPlays }));
+}
+
+/**
+ * Attach a Server-Sent Events response to the shared live poller.
+ * The client gets a `games` snapshot right away, then `game` and `scoringPlay`
+ * events for games involving `teamIds`. The poller runs only while at least one
+ * client is connected. Returns a function that detaches the client.
+ */
+export function addLiveClient(res, teamIds) {
+  const client = {
+    teamIds: new Set(teamIds.map(Number).filter(Number.isFinite)),
+    send(event, data) {
+      if (event === null) {
+        res.write(": ping\n\n");
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.write(`retry: ${livePollMs()}\n\n`);
+
+  const hadTeams = trackedTeamIds();
+  clients.add(client);
+  client.send("games", snapshotFor(client.teamIds));
+  startHeartbeat();
+
+  // Poll now if nothing is scheduled or this client follows a team the poller has not
+  // looked at yet, but never faster than the live interval.
+  const newTeam = Array.from(client.teamIds).some((id) => !hadTeams.has(id));
+  if (!polling && (!pollTimer || newTeam)) {
+    schedulePoll(Math.max(0, lastPollAt + livePollMs() - Date.now()));
+  }
+
+  return () => {
+    clients.delete(client);
+    stopWhenIdle();
+  };
+}
@@ -0,0 +1,61 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = "info";
+
+// Holds { requestId } for whatever request the current async call chain is serving,
+// so modules deep below a route log with the request's id without passing it around.
+const requestContext = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase()] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * Errors don't survive JSON.stringify, so flatten them (and their cause) into plain fields.
+ */
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    stack: err.stack,
+    ...(err.cause ? { cause: serializeError(err.cause) } : {}),
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message, ...requestContext.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ time: entry.time, level, msg: message, ...requestContext.getStore(), note: "fields were not serializable" });
+  }
+  (level === "error" || level === "warn" ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * One JSON object per line: time, level, msg, the current request's requestId (if any)
+ * and whatever fields were passed. LOG_LEVEL (debug, info, warn, error) drops quieter lines.
+ */
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * Run `fn` with `context` (e.g. { requestId }) attached to every log line it produces.
+ */
+export function runWithLogContext(context, fn) {
+  return requestContext.run({ ...requestContext.getStore(), ...context }, fn);
+}
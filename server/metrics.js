@@ -0,0 +1,138 @@
+// Counters, gauges and histograms rendered in the Prometheus text format for /metrics.
+
+// Seconds; covers fast cache hits up to slow ESPN fan-outs
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+// Functions run just before rendering, for values read from elsewhere (cache stats, memory)
+const collectors = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const names = Object.keys(all);
+  if (names.length === 0) return "";
+  return `{${names.map((name) => `${name}="${escapeLabel(all[name])}"`).join(",")}}`;
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * A value that only goes up, e.g. requests served.
+ */
+export function createCounter(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) ?? { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    // For totals another module already counts; the value must never go down
+    set(labels = {}, value = 0) {
+      series.set(labelKey(labels), { labels, value });
+    },
+    lines() {
+      return Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+/**
+ * A value that is set to whatever it currently is, e.g. cache size.
+ */
+export function createGauge(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels = {}, value = 0) {
+      series.set(labelKey(labels), { labels, value });
+    },
+    lines() {
+      return Array.from(series.values(), ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  });
+}
+
+/**
+ * Observations sorted into cumulative buckets, e.g. request latency in seconds.
+ */
+export function createHistogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) ?? { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    lines() {
+      const out = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        bounds.forEach((bound, i) => out.push(`${name}_bucket${formatLabels(labels, { le: bound })} ${counts[i]}`));
+        out.push(`${name}_bucket${formatLabels(labels, { le: "+Inf" })} ${count}`);
+        out.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        out.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return out;
+    },
+  });
+}
+
+/**
+ * Run `collect()` before every render to refresh gauges from their source.
+ */
+export function addMetricsCollector(collect) {
+  collectors.push(collect);
+}
+
+/**
+ * Every registered metric in the Prometheus text exposition format.
+ */
+export function renderMetrics() {
+  for (const collect of collectors) collect();
+  const out = [];
+  for (const metric of registry.values()) {
+    out.push(`# HELP ${metric.name} ${metric.help}`);
+    out.push(`# TYPE ${metric.name} ${metric.type}`);
+    out.push(...metric.lines());
+  }
+  return `${out.join("\n")}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const processMemory = createGauge("process_resident_memory_bytes", "Resident memory size in bytes.");
+const heapUsed = createGauge("nodejs_heap_used_bytes", "V8 heap in use in bytes.");
+const uptime = createGauge("process_uptime_seconds", "Seconds since the process started.");
+addMetricsCollector(() => {
+  const memory = process.memoryUsage();
+  processMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+  uptime.set({}, Math.round(process.uptime()));
+});
@@ -0,0 +1,54 @@
+import { getDB } from "./db.js";
+
+const DEFAULT_COLLECTION = "espnCache";
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a persistent cache tier backed by one MongoDB collection.
+ * Documents are keyed by the cache key (`espn:{type}:{season}:{seasonType}:{teamId}`) and
+ * removed by a TTL index once their stale window closes.
+ */
+export async function createMongoCacheTier({ collectionName = process.env.CACHE_COLLECTION || DEFAULT_COLLECTION } = {}) {
+  const collection = getDB().collection(collectionName);
+  await collection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+  return {
+    async get(cacheKey) {
+      const doc = await collection.findOne({ _id: cacheKey });
+      if (!doc) return null;
+      return {
+        value: doc.value,
+        expiresAt: doc.expiresAt.getTime(),
+        staleUntil: doc.purgeAt.getTime(),
+      };
+    },
+
+    async set(cacheKey, entry) {
+      await collection.updateOne(
+        { _id: cacheKey },
+        {
+          $set: {
+            value: entry.value,
+            expiresAt: new Date(entry.expiresAt),
+            purgeAt: new Date(entry.staleUntil),
+            updatedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    },
+
+    async delete(cacheKey) {
+      const result = await collection.deleteOne({ _id: cacheKey });
+      return result.deletedCount;
+    },
+
+    async deleteByPrefix(prefix) {
+      const result = await collection.deleteMany({ _id: { $regex: `^${escapeRegex(prefix)}` } });
+      return result.deletedCount;
+    },
+  };
+}
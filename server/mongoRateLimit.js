@@ -0,0 +1,39 @@
+import { getDB } from "./db.js";
+
+const DEFAULT_COLLECTION = "rateLimits";
+
+/**
+ * Build a rate limit store shared by every process through one MongoDB collection.
+ * Each counter is a document keyed by `{limiter}:{key}:{window}` and removed by a
+ * TTL index once no window needs it.
+ */
+export async function createMongoRateLimitStore({ collectionName = process.env.RATE_LIMIT_COLLECTION || DEFAULT_COLLECTION } = {}) {
+  const collection = getDB().collection(collectionName);
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  async function increment(key, ttlMs) {
+    const doc = await collection.findOneAndUpdate(
+      { _id: key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return doc.count;
+  }
+
+  return {
+    async increment(key, ttlMs) {
+      try {
+        return await increment(key, ttlMs);
+      } catch (err) {
+        // Two first hits racing to insert the same counter: the loser retries as an update
+        if (err?.code !== 11000) throw err;
+        return await increment(key, ttlMs);
+      }
+    },
+
+    async get(key) {
+      const doc = await collection.findOne({ _id: key }, { projection: { count: 1 } });
+      return doc?.count ?? 0;
+    },
+  };
+}
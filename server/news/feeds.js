@@ -0,0 +1,99 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FEED_TIMEOUT_MS = 10000;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+/**
+ * Load the configured feed list. NEWS_FEEDS_FILE can point at another JSON file
+ * shaped like feeds.json: [{ "name": "...", "url": "...", "weight": 1 }].
+ */
+export async function loadFeedConfig() {
+  const filePath = process.env.NEWS_FEEDS_FILE || path.join(__dirname, "./feeds.json");
+  const file = await fs.readFile(filePath, "utf8");
+  const feeds = JSON.parse(file);
+  return (Array.isArray(feeds) ? feeds : []).filter((feed) => typeof feed?.url === "string" && feed.url);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const num = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(num) ? String.fromCodePoint(num) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Turn feed markup (possibly CDATA-wrapped HTML) into plain text.
+ */
+function toPlainText(raw) {
+  if (!raw) return "";
+  const unwrapped = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+  return decodeEntities(unwrapped.replace(/<[^>]*>/g, " "))
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function readTag(block, tagName) {
+  const match = block.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, "i"));
+  return match ? match[1] : "";
+}
+
+function readAtomLink(block) {
+  const links = block.match(/<link\b[^>]*>/gi) ?? [];
+  for (const link of links) {
+    const rel = link.match(/\brel\s*=\s*["']([^"']+)["']/i)?.[1];
+    const href = link.match(/\bhref\s*=\s*["']([^"']+)["']/i)?.[1];
+    if (href && (!rel || rel === "alternate")) return decodeEntities(href);
+  }
+  return "";
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document into raw feed items.
+ * Items without a link or title are dropped.
+ */
+export function parseFeed(xml) {
+  if (typeof xml !== "string") return [];
+  const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) ?? [];
+
+  return blocks
+    .map((block) => {
+      const title = toPlainText(readTag(block, "title"));
+      const url = isAtom ? readAtomLink(block) : toPlainText(readTag(block, "link")) || toPlainText(readTag(block, "guid"));
+      const summary = toPlainText(
+        isAtom ? readTag(block, "summary") || readTag(block, "content") : readTag(block, "description")
+      );
+      const publishedAt = toDate(
+        toPlainText(isAtom ? readTag(block, "published") || readTag(block, "updated") : readTag(block, "pubDate"))
+      );
+      return { title, url, summary, publishedAt };
+    })
+    .filter((item) => item.title && item.url);
+}
+
+/**
+ * Download and parse one feed. Returns an empty list when the feed is unreachable.
+ */
+export async function fetchFeed(feed) {
+  try {
+    const res = await fetch(feed.url, { signal: AbortSignal.timeout(FEED_TIMEOUT_MS) });
+    if (!res.ok) return [];
+    return parseFeed(await res.text());
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,154 @@
+import { getDB } from "../db.js";
+import { fetchFeed, loadFeedConfig } from "./feeds.js";
+import { tagTeams } from "./tagTeams.js";
+import { logger } from "../logger.js";
+
+export const NEWS_COLLECTION = "news";
+
+const DEFAULT_POLL_MS = 1000 * 60 * 15;
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+const TITLE_DEDUP_WINDOW_MS = 1000 * 60 * 60 * 48;
+const TRACKING_PARAMS = /^(utm_|fbclid$|gclid$|ref$|xid$)/i;
+const STOPWORDS = new Set(["a", "an", "and", "at", "for", "in", "of", "on", "the", "to", "vs", "with"]);
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Normalize article URLs so the same story shared with tracking params dedupes.
+ */
+export function canonicalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+    for (const param of Array.from(parsed.searchParams.keys())) {
+      if (TRACKING_PARAMS.test(param)) parsed.searchParams.delete(param);
+    }
+    return parsed.toString().replace(/\/$/, "");
+  } catch {
+    return null;
+  }
+}
+
+export function titleTokens(title) {
+  const tokens = String(title || "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !STOPWORDS.has(token));
+  return Array.from(new Set(tokens));
+}
+
+/**
+ * Jaccard similarity between two token lists.
+ */
+function tokenSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((token) => setB.has(token)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+export async function ensureNewsIndexes() {
+  const collection = getDB().collection(NEWS_COLLECTION);
+  await Promise.all([
+    collection.createIndex({ url: 1 }, { unique: true }),
+    collection.createIndex({ teams: 1, publishedAt: -1 }),
+    collection.createIndex({ publishedAt: -1 }),
+  ]);
+}
+
+/**
+ * Fetch every configured feed and store new articles.
+ * Articles are skipped when their URL is already stored or when their title is
+ * nearly identical to one published in the last 48 hours.
+ * Returns per-run counters.
+ */
+export async function ingestFeeds() {
+  const collection = getDB().collection(NEWS_COLLECTION);
+  const feeds = await loadFeedConfig();
+  const counts = { fetched: 0, inserted: 0, duplicates: 0 };
+
+  const recent = await collection
+    .find(
+      { publishedAt: { $gte: new Date(Date.now() - TITLE_DEDUP_WINDOW_MS) } },
+      { projection: { titleTokens: 1 } }
+    )
+    .toArray();
+  const recentTokens = recent.map((doc) => doc.titleTokens ?? []);
+
+  for (const feed of feeds) {
+    const items = await fetchFeed(feed);
+    counts.fetched += items.length;
+
+    for (const item of items) {
+      const url = canonicalizeUrl(item.url);
+      if (!url) continue;
+
+      const tokens = titleTokens(item.title);
+      if (recentTokens.some((other) => tokenSimilarity(tokens, other) >= TITLE_SIMILARITY_THRESHOLD)) {
+        counts.duplicates += 1;
+        continue;
+      }
+
+      const teams = await tagTeams(`${item.title} ${item.summary}`);
+      const result = await collection.updateOne(
+        { url },
+        {
+          $setOnInsert: {
+            url,
+            title: item.title,
+            summary: item.summary,
+            source: feed.name || new URL(feed.url).hostname,
+            feedUrl: feed.url,
+            publishedAt: item.publishedAt ?? new Date(),
+            teams,
+            titleTokens: tokens,
+            ingestedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        counts.inserted += 1;
+        recentTokens.push(tokens);
+      } else {
+        counts.duplicates += 1;
+      }
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Poll feeds on an interval (NEWS_POLL_MS, default 15 minutes).
+ * A run that is still going when the next tick fires is not overlapped.
+ */
+export async function startNewsPoller({ intervalMs = Number(process.env.NEWS_POLL_MS) || DEFAULT_POLL_MS } = {}) {
+  if (pollTimer) return;
+  await ensureNewsIndexes();
+
+  const run = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      await ingestFeeds();
+    } catch (err) {
+      logger.error("News ingestion failed", { err });
+    } finally {
+      polling = false;
+    }
+  };
+
+  pollTimer = setInterval(run, intervalMs);
+  pollTimer.unref();
+  run();
+}
+
+export function stopNewsPoller() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
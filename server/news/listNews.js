@@ -0,0 +1,69 @@
+import { getDB } from "../db.js";
+import { NEWS_COLLECTION } from "./ingest.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function normalizePaging({ page, pageSize } = {}) {
+  return {
+    page: Math.max(1, Number.parseInt(page, 10) || 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE)),
+  };
+}
+
+/**
+ * Build the Mongo filter for a user's feed.
+ * Muted sources match case-insensitively on the whole name; muted keywords
+ * drop any article whose title or summary contains the word.
+ */
+export function buildNewsFilter({ teamKeys = [], mutedKeywords = [], mutedSources = [], since = null } = {}) {
+  const filter = {};
+  if (teamKeys.length > 0) filter.teams = { $in: teamKeys };
+  if (since) filter.publishedAt = { $gte: since };
+  if (mutedSources.length > 0) {
+    filter.source = { $nin: mutedSources.map((source) => new RegExp(`^${escapeRegex(source)}$`, "i")) };
+  }
+  if (mutedKeywords.length > 0) {
+    filter.$nor = mutedKeywords.flatMap((keyword) => {
+      const pattern = new RegExp(`\\b${escapeRegex(keyword)}\\b`, "i");
+      return [{ title: pattern }, { summary: pattern }];
+    });
+  }
+  return filter;
+}
+
+export function toArticle({ _id, titleTokens, feedUrl, ...article }) {
+  return { id: String(_id), ...article };
+}
+
+/**
+ * Page through stored articles, newest first.
+ * When `teamKeys` is not empty only articles tagged with one of those teams are returned.
+ */
+export async function listNews({ teamKeys = [], mutedKeywords = [], mutedSources = [], ...paging } = {}) {
+  const { page, pageSize } = normalizePaging(paging);
+  const filter = buildNewsFilter({ teamKeys, mutedKeywords, mutedSources });
+
+  const collection = getDB().collection(NEWS_COLLECTION);
+  const [articles, total] = await Promise.all([
+    collection
+      .find(filter)
+      .sort({ publishedAt: -1, _id: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return {
+    articles: articles.map(toArticle),
+    page,
+    pageSize,
+    total,
+    hasMore: page * pageSize < total,
+  };
+}
@@ -0,0 +1,139 @@
+import { getDB } from "../db.js";
+import { NEWS_COLLECTION } from "./ingest.js";
+import { loadFeedConfig } from "./feeds.js";
+import { buildNewsFilter, normalizePaging, toArticle } from "./listNews.js";
+
+// Points per signal. Recency decays by half every RECENCY_HALF_LIFE_HOURS.
+const WEIGHTS = {
+  team: 40,
+  followedTeam: 25,
+  followedPlayer: 30,
+  rosterPlayer: 10,
+  recency: 30,
+  source: 10,
+};
+const ROSTER_POINTS_CAP = 20;
+const RECENCY_HALF_LIFE_HOURS = 12;
+const DEFAULT_SOURCE_WEIGHT = 0.5;
+const CANDIDATE_WINDOW_MS = 1000 * 60 * 60 * 24 * 7;
+const MAX_CANDIDATES = 500;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function mentions(text, name) {
+  return new RegExp(`\\b${escapeRegex(name)}\\b`, "i").test(text);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Score one article for a user. Every signal that contributed is listed in
+ * `reasons` so the client can explain the ordering.
+ */
+export function scoreArticle(article, { teamKey = null, otherTeamKeys = [], followedPlayers = [], rosterNames = [], sourceWeights = new Map(), now = Date.now() }) {
+  const text = `${article.title ?? ""} ${article.summary ?? ""}`;
+  const reasons = [];
+  const tagged = Array.isArray(article.teams) ? article.teams : [];
+
+  // The primary team outranks other followed teams; an article only earns one team bonus.
+  const otherTeam = otherTeamKeys.find((key) => tagged.includes(key));
+  if (teamKey && tagged.includes(teamKey)) {
+    reasons.push({ signal: "team", detail: teamKey, points: WEIGHTS.team });
+  } else if (otherTeam) {
+    reasons.push({ signal: "followedTeam", detail: otherTeam, points: WEIGHTS.followedTeam });
+  }
+
+  const followed = followedPlayers.filter((name) => mentions(text, name));
+  for (const name of followed) {
+    reasons.push({ signal: "followedPlayer", detail: name, points: WEIGHTS.followedPlayer });
+  }
+
+  let rosterPoints = 0;
+  for (const name of rosterNames) {
+    if (rosterPoints >= ROSTER_POINTS_CAP) break;
+    if (followed.some((other) => other.toLowerCase() === name.toLowerCase())) continue;
+    if (mentions(text, name)) {
+      const points = Math.min(WEIGHTS.rosterPlayer, ROSTER_POINTS_CAP - rosterPoints);
+      rosterPoints += points;
+      reasons.push({ signal: "rosterPlayer", detail: name, points });
+    }
+  }
+
+  const publishedAt = new Date(article.publishedAt).getTime();
+  if (Number.isFinite(publishedAt)) {
+    const ageHours = Math.max(0, (now - publishedAt) / (1000 * 60 * 60));
+    const points = round(WEIGHTS.recency * 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS));
+    if (points > 0) {
+      reasons.push({ signal: "recency", detail: `${Math.round(ageHours)}h old`, points });
+    }
+  }
+
+  const sourceWeight = sourceWeights.get(String(article.source).toLowerCase()) ?? DEFAULT_SOURCE_WEIGHT;
+  reasons.push({ signal: "source", detail: article.source, points: round(WEIGHTS.source * sourceWeight) });
+
+  const score = round(reasons.reduce((sum, reason) => sum + reason.points, 0));
+  return { score, reasons };
+}
+
+async function getSourceWeights() {
+  const feeds = await loadFeedConfig().catch(() => []);
+  const weights = new Map();
+  for (const feed of feeds) {
+    const weight = Number(feed.weight);
+    if (feed.name && Number.isFinite(weight)) {
+      weights.set(feed.name.toLowerCase(), weight);
+    }
+  }
+  return weights;
+}
+
+/**
+ * Rank the last week of unmuted articles for one user and return one page.
+ * `preferences` is the user's stored preferences object, `teamKey` the primary team,
+ * `otherTeamKeys` the rest of the followed teams and `rosterNames` player names
+ * from the primary team's roster.
+ */
+export async function listRankedNews({ preferences = {}, teamKey = null, otherTeamKeys = [], rosterNames = [], ...paging } = {}) {
+  const { page, pageSize } = normalizePaging(paging);
+  const now = Date.now();
+  const filter = buildNewsFilter({
+    mutedKeywords: preferences.mutedKeywords ?? [],
+    mutedSources: preferences.mutedSources ?? [],
+    since: new Date(now - CANDIDATE_WINDOW_MS),
+  });
+
+  const [candidates, sourceWeights] = await Promise.all([
+    getDB()
+      .collection(NEWS_COLLECTION)
+      .find(filter)
+      .sort({ publishedAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .toArray(),
+    getSourceWeights(),
+  ]);
+
+  const context = {
+    teamKey,
+    otherTeamKeys,
+    followedPlayers: preferences.followedPlayers ?? [],
+    rosterNames,
+    sourceWeights,
+    now,
+  };
+  const ranked = candidates
+    .map((doc) => ({ ...toArticle(doc), ranking: scoreArticle(doc, context) }))
+    .sort((a, b) => b.ranking.score - a.ranking.score || new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const start = (page - 1) * pageSize;
+  return {
+    articles: ranked.slice(start, start + pageSize),
+    page,
+    pageSize,
+    total: ranked.length,
+    hasMore: start + pageSize < ranked.length,
+  };
+}
@@ -0,0 +1,54 @@
+import { getAllTeams, getTeamDataVersion } from "../teamData.js";
+
+// { version, matchers }, rebuilt when a team override changes a name, city or stadium
+let matchersCache = null;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build one matcher per unambiguous term. Terms shared by several teams
+ * (e.g. "New York", "East Rutherford", "SoFi Stadium") are skipped so an article
+ * is only tagged when it names something that identifies a single team.
+ */
+async function getMatchers() {
+  const teams = await getAllTeams();
+  const version = getTeamDataVersion();
+  if (matchersCache?.version === version) return matchersCache.matchers;
+
+  const termTeams = new Map();
+  for (const team of teams) {
+    const location = team.key.replace(/\s*\(.*\)\s*$/, "");
+    const terms = new Set([team.name, location, team.city, team.stadium].filter(Boolean));
+    for (const term of terms) {
+      if (!termTeams.has(term)) termTeams.set(term, new Set());
+      termTeams.get(term).add(team.key);
+    }
+  }
+
+  const matchers = Array.from(termTeams.entries())
+    .filter(([, keys]) => keys.size === 1)
+    .map(([term, keys]) => ({
+      teamKey: Array.from(keys)[0],
+      // Case-sensitive on purpose: "Bills", "Jets" and "Saints" are only team names when capitalised.
+      pattern: new RegExp(`(^|[^A-Za-z0-9])${escapeRegex(term)}(?![A-Za-z0-9])`),
+    }));
+  matchersCache = { version, matchers };
+  return matchers;
+}
+
+/**
+ * Return the sorted team preference keys mentioned in the given text.
+ */
+export async function tagTeams(text) {
+  if (!text) return [];
+  const matchers = await getMatchers();
+  const found = new Set();
+  for (const { teamKey, pattern } of matchers) {
+    if (!found.has(teamKey) && pattern.test(text)) {
+      found.add(teamKey);
+    }
+  }
+  return Array.from(found).sort();
+}
@@ -0,0 +1,22 @@
+import { isMailConfigured, sendMail, siteLink } from "../../mailer.js";
+
+/**
+ * Plain-text email through the shared mailer. Unavailable when no mail transport is configured
+ * or the user has no verified email address.
+ */
+export function createEmailChannel() {
+  return {
+    name: "email",
+    isAvailable(user) {
+      return isMailConfigured() && user.emailVerified === true && typeof user.email === "string" && user.email.includes("@");
+    },
+    async send(user, notification) {
+      const link = notification.url ? `\n\n${siteLink(notification.url)}` : "";
+      await sendMail({
+        to: user.email,
+        subject: notification.title,
+        text: `${notification.body}${link}\n\nChange which emails you get in Settings > Notifications.`,
+      });
+    },
+  };
+}
@@ -0,0 +1,16 @@
+import { addToInbox } from "../inbox.js";
+
+/**
+ * In-app inbox shown on the site. Always available.
+ */
+export function createInboxChannel() {
+  return {
+    name: "inbox",
+    isAvailable() {
+      return true;
+    },
+    async send(user, notification) {
+      await addToInbox(user._id, notification);
+    },
+  };
+}
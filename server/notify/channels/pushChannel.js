@@ -0,0 +1,47 @@
+import webpush from "web-push";
+import { getDB } from "../../db.js";
+
+const PUSH_TTL_SECONDS = 60 * 60;
+
+export function getVapidPublicKey() {
+  return process.env.VAPID_PUBLIC_KEY || null;
+}
+
+/**
+ * Browser Web Push to every subscription saved on the user.
+ * Needs VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (`npx web-push generate-vapid-keys`);
+ * VAPID_SUBJECT is the contact push services can reach (default mailto:admin@playbooknews.local).
+ * Subscriptions the push service reports as gone are removed from the user.
+ */
+export function createPushChannel({
+  publicKey = process.env.VAPID_PUBLIC_KEY,
+  privateKey = process.env.VAPID_PRIVATE_KEY,
+  subject = process.env.VAPID_SUBJECT || "mailto:admin@playbooknews.local",
+} = {}) {
+  const configured = Boolean(publicKey && privateKey);
+  if (configured) webpush.setVapidDetails(subject, publicKey, privateKey);
+
+  return {
+    name: "push",
+    isAvailable(user) {
+      return configured && Array.isArray(user.pushSubscriptions) && user.pushSubscriptions.length > 0;
+    },
+    async send(user, notification) {
+      const payload = JSON.stringify({ title: notification.title, body: notification.body, url: notification.url ?? "/" });
+      const results = await Promise.allSettled(
+        user.pushSubscriptions.map((subscription) => webpush.sendNotification(subscription, payload, { TTL: PUSH_TTL_SECONDS }))
+      );
+
+      const gone = user.pushSubscriptions.filter((subscription, i) => [404, 410].includes(results[i].reason?.statusCode));
+      if (gone.length > 0) {
+        await getDB().collection("users").updateOne(
+          { _id: user._id },
+          { $pull: { pushSubscriptions: { endpoint: { $in: gone.map((subscription) => subscription.endpoint) } } } }
+        );
+      }
+
+      const failed = results.find((result, i) => result.status === "rejected" && !gone.includes(user.pushSubscriptions[i]));
+      if (failed) throw failed.reason;
+    },
+  };
+}
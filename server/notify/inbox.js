@@ -0,0 +1,63 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../db.js";
+
+export const INBOX_COLLECTION = "notifications";
+
+const DEFAULT_INBOX_SIZE = 20;
+const MAX_INBOX_SIZE = 50;
+// Inbox entries are deleted by Mongo this long after they were created.
+const INBOX_RETENTION_SECONDS = 60 * 60 * 24 * 60;
+
+export async function ensureInboxIndexes() {
+  const collection = getDB().collection(INBOX_COLLECTION);
+  await Promise.all([
+    collection.createIndex({ userId: 1, createdAt: -1 }),
+    collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: INBOX_RETENTION_SECONDS }),
+  ]);
+}
+
+export function toInboxItem({ _id, userId, ...item }) {
+  return { id: String(_id), ...item };
+}
+
+export async function addToInbox(userId, notification) {
+  await getDB().collection(INBOX_COLLECTION).insertOne({
+    userId,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    url: notification.url ?? null,
+    createdAt: new Date(),
+    readAt: null,
+  });
+}
+
+/**
+ * Newest inbox entries for a user plus the unread count.
+ * Return: { notifications, unread }
+ */
+export async function listInbox(userId, { limit, unreadOnly = false } = {}) {
+  const size = Math.min(MAX_INBOX_SIZE, Math.max(1, Number.parseInt(limit, 10) || DEFAULT_INBOX_SIZE));
+  const collection = getDB().collection(INBOX_COLLECTION);
+  const filter = unreadOnly ? { userId, readAt: null } : { userId };
+
+  const [docs, unread] = await Promise.all([
+    collection.find(filter).sort({ createdAt: -1 }).limit(size).toArray(),
+    collection.countDocuments({ userId, readAt: null }),
+  ]);
+  return { notifications: docs.map(toInboxItem), unread };
+}
+
+/**
+ * Mark the given inbox ids as read, or every unread entry when `ids` is null.
+ * Ids that are not valid ObjectIds are ignored.
+ * Return: the number of entries changed.
+ */
+export async function markInboxRead(userId, ids = null) {
+  const filter = { userId, readAt: null };
+  if (ids !== null) {
+    filter._id = { $in: ids.filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id)) };
+  }
+  const result = await getDB().collection(INBOX_COLLECTION).updateMany(filter, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
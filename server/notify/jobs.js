@@ -0,0 +1,113 @@
+import { getDB } from "../db.js";
+import { fetchCurrentScoreboard } from "../fetch.js";
+import { getFollowedTeams } from "../preferences.js";
+import { getAllTeams } from "../teamData.js";
+import { NEWS_COLLECTION } from "../news/ingest.js";
+import { buildNewsFilter, toArticle } from "../news/listNews.js";
+import { deliverOnce, ensureNotificationIndexes } from "./notify.js";
+import { evaluateRules, hasActiveRules, resolveNotificationSettings, wantsGames } from "./rules.js";
+import { logger } from "../logger.js";
+
+const DEFAULT_POLL_MS = 1000 * 60;
+// Articles stored this recently count as breaking; the dedupe log stops repeats inside the window.
+const NEWS_LOOKBACK_MS = 1000 * 60 * 60 * 2;
+const NEWS_CANDIDATES = 10;
+
+let pollTimer = null;
+let running = false;
+
+function involves(game, teamIds) {
+  return teamIds.has(game.home?.id) || teamIds.has(game.away?.id);
+}
+
+async function recentTeamNews(teamKeys, preferences, now) {
+  if (teamKeys.length === 0) return [];
+  const since = new Date(now.getTime() - NEWS_LOOKBACK_MS);
+  const filter = {
+    ...buildNewsFilter({
+      teamKeys,
+      mutedKeywords: preferences.mutedKeywords ?? [],
+      mutedSources: preferences.mutedSources ?? [],
+      since,
+    }),
+    ingestedAt: { $gte: since },
+  };
+  const docs = await getDB().collection(NEWS_COLLECTION).find(filter).sort({ publishedAt: -1 }).limit(NEWS_CANDIDATES).toArray();
+  return docs.map(toArticle);
+}
+
+/**
+ * Evaluate every opted-in user's rules once and deliver what is due.
+ * Games come from the current ESPN scoreboard (so flexed kickoffs are honored),
+ * news from the articles the feed poller stored.
+ * When the scoreboard can't be loaded, game rules are skipped for this run (news still goes out)
+ * and `scoreboardError` holds the failure kind.
+ * Return: { users, sent, duplicates, scoreboardError }
+ */
+export async function runNotificationJobs(now = new Date()) {
+  const counts = { users: 0, sent: 0, duplicates: 0, scoreboardError: null };
+  const users = (
+    await getDB()
+      .collection("users")
+      .find({ "preferences.notifications": { $exists: true }, disabledAt: null }, { projection: { email: 1, emailVerified: 1, preferences: 1, pushSubscriptions: 1 } })
+      .toArray()
+  )
+    .map((user) => ({ user, settings: resolveNotificationSettings(user.preferences) }))
+    .filter(({ settings }) => hasActiveRules(settings));
+  if (users.length === 0) return counts;
+
+  const teams = await getAllTeams();
+  const scoreboardResult = users.some(({ settings }) => wantsGames(settings)) ? await fetchCurrentScoreboard() : null;
+  if (scoreboardResult && !scoreboardResult.ok) {
+    counts.scoreboardError = scoreboardResult.error.kind;
+    logger.warn("Notification run could not load the scoreboard", { kind: scoreboardResult.error.kind });
+  }
+  const scoreboard = scoreboardResult?.ok ? scoreboardResult.data : [];
+
+  for (const { user, settings } of users) {
+    counts.users += 1;
+    const teamKeys = getFollowedTeams(user.preferences ?? {}).map((followed) => followed.key);
+    const teamIds = new Set(teams.filter((team) => teamKeys.includes(team.key)).map((team) => Number(team.id)));
+    const games = wantsGames(settings) ? scoreboard.filter((game) => game.eventId && involves(game, teamIds)) : [];
+    const articles = settings.teamNews ? await recentTeamNews(teamKeys, user.preferences ?? {}, now) : [];
+
+    for (const notification of evaluateRules({ settings, games, articles, now })) {
+      if (await deliverOnce(user, notification, settings.channels)) {
+        counts.sent += 1;
+      } else {
+        counts.duplicates += 1;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Run the notification rules on an interval (NOTIFY_POLL_MS, default 1 minute).
+ * A run that is still going when the next tick fires is not overlapped.
+ */
+export async function startNotificationJobs({ intervalMs = Number(process.env.NOTIFY_POLL_MS) || DEFAULT_POLL_MS } = {}) {
+  if (pollTimer) return;
+  await ensureNotificationIndexes();
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runNotificationJobs();
+    } catch (err) {
+      logger.error("Notification run failed", { err });
+    } finally {
+      running = false;
+    }
+  };
+
+  pollTimer = setInterval(run, intervalMs);
+  pollTimer.unref();
+  run();
+}
+
+export function stopNotificationJobs() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
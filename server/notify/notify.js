@@ -0,0 +1,88 @@
+import { getDB } from "../db.js";
+import { createEmailChannel } from "./channels/emailChannel.js";
+import { createInboxChannel } from "./channels/inboxChannel.js";
+import { createPushChannel } from "./channels/pushChannel.js";
+import { ensureInboxIndexes } from "./inbox.js";
+import { logger } from "../logger.js";
+
+export const NOTIFICATION_LOG_COLLECTION = "notificationLog";
+
+// Log entries only need to outlive the events they dedupe; a season is plenty.
+const LOG_RETENTION_SECONDS = 60 * 60 * 24 * 180;
+
+// Channel factories by name. A channel is { name, isAvailable(user), send(user, notification) }.
+const channelFactories = new Map([
+  ["inbox", createInboxChannel],
+  ["email", createEmailChannel],
+  ["push", createPushChannel],
+]);
+
+const activeChannels = new Map();
+
+/**
+ * Add or replace a delivery channel, e.g. to send email through something other than SMTP.
+ */
+export function registerNotificationChannel(name, factory) {
+  if (typeof factory !== "function") throw new TypeError("Notification channel factory must be a function");
+  channelFactories.set(name, factory);
+  activeChannels.delete(name);
+}
+
+export function listNotificationChannels() {
+  return Array.from(channelFactories.keys());
+}
+
+function getChannel(name) {
+  if (!activeChannels.has(name)) {
+    const factory = channelFactories.get(name);
+    if (!factory) return null;
+    activeChannels.set(name, factory());
+  }
+  return activeChannels.get(name);
+}
+
+export async function ensureNotificationIndexes() {
+  const log = getDB().collection(NOTIFICATION_LOG_COLLECTION);
+  await Promise.all([
+    log.createIndex({ userId: 1, key: 1 }, { unique: true }),
+    log.createIndex({ sentAt: 1 }, { expireAfterSeconds: LOG_RETENTION_SECONDS }),
+    ensureInboxIndexes(),
+  ]);
+}
+
+/**
+ * Record that `user` is getting `notification.key`. The unique index makes this the
+ * dedupe point: only the first caller for a (user, key) pair gets true, even across processes.
+ */
+async function claim(user, notification) {
+  try {
+    await getDB().collection(NOTIFICATION_LOG_COLLECTION).insertOne({
+      userId: user._id,
+      key: notification.key,
+      type: notification.type,
+      sentAt: new Date(),
+    });
+    return true;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Send a notification to a user on each of `channelNames` that can reach them, at most once per key.
+ * A failing channel is logged and does not stop the others; the event still counts as sent.
+ * Return: false when the user already got this key, true otherwise.
+ */
+export async function deliverOnce(user, notification, channelNames) {
+  if (!(await claim(user, notification))) return false;
+
+  const channels = channelNames.map(getChannel).filter((channel) => channel?.isAvailable(user));
+  const results = await Promise.allSettled(channels.map((channel) => channel.send(user, notification)));
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      logger.error("Notification delivery failed", { key: notification.key, channel: channels[i].name, err: result.reason });
+    }
+  });
+  return true;
+}
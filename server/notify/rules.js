@@ -0,0 +1,127 @@
+import { listNotificationChannels } from "./notify.js";
+
+export const MAX_KICKOFF_MINUTES = 60 * 24;
+// A final score is only worth sending for a game that kicked off recently.
+const FINAL_WINDOW_MS = 1000 * 60 * 60 * 12;
+const MAX_NEWS_PER_RUN = 3;
+const MAX_BODY_LENGTH = 200;
+
+// Everything is off until the user opts in from settings.
+export const NOTIFICATION_DEFAULTS = {
+  kickoffMinutes: null,
+  finalScore: false,
+  teamNews: false,
+  channels: ["inbox"],
+};
+
+/**
+ * Validate the `notifications` preference.
+ * Return: { settings } with every field filled in, or { error } with a user-facing message.
+ */
+export function validateNotificationSettings(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { error: "notifications must be an object" };
+  }
+
+  const settings = { ...NOTIFICATION_DEFAULTS };
+  for (const [key, field] of Object.entries(value)) {
+    if (key === "kickoffMinutes") {
+      if (field !== null && (!Number.isInteger(field) || field < 1 || field > MAX_KICKOFF_MINUTES)) {
+        return { error: `kickoffMinutes must be null or a whole number from 1 to ${MAX_KICKOFF_MINUTES}` };
+      }
+      settings.kickoffMinutes = field;
+    } else if (key === "finalScore" || key === "teamNews") {
+      if (typeof field !== "boolean") return { error: `${key} must be true or false` };
+      settings[key] = field;
+    } else if (key === "channels") {
+      const known = listNotificationChannels();
+      if (!Array.isArray(field) || field.some((name) => !known.includes(name))) {
+        return { error: `channels must be a list of ${known.join(", ")}` };
+      }
+      settings.channels = Array.from(new Set(field));
+    } else {
+      return { error: `Unknown notification setting: ${key}` };
+    }
+  }
+  return { settings };
+}
+
+export function resolveNotificationSettings(preferences = {}) {
+  return { ...NOTIFICATION_DEFAULTS, ...(preferences.notifications ?? {}) };
+}
+
+function truncate(text) {
+  const value = String(text ?? "").trim();
+  return value.length > MAX_BODY_LENGTH ? `${value.slice(0, MAX_BODY_LENGTH - 1)}…` : value;
+}
+
+function matchup(game) {
+  return `${game.away.name} at ${game.home.name}`;
+}
+
+// Each rule reads { settings, games, articles, now } and returns notifications shaped
+// { key, type, title, body, url }. `key` identifies the event, so it is sent once per user.
+const RULES = [
+  {
+    type: "kickoff",
+    enabled: (settings) => settings.kickoffMinutes !== null,
+    evaluate({ settings, games, now }) {
+      return games
+        .filter((game) => game.state === "pre")
+        .map((game) => ({ game, untilKickoff: new Date(game.dateTime).getTime() - now.getTime() }))
+        .filter(({ untilKickoff }) => untilKickoff > 0 && untilKickoff <= settings.kickoffMinutes * 60 * 1000)
+        .map(({ game, untilKickoff }) => ({
+          key: `kickoff:${game.eventId}`,
+          type: "kickoff",
+          title: `${matchup(game)} kicks off soon`,
+          body: `${matchup(game)} kicks off in ${Math.max(1, Math.round(untilKickoff / 60000))} minutes.`,
+          url: `/game/${game.eventId}`,
+        }));
+    },
+  },
+  {
+    type: "final",
+    enabled: (settings) => settings.finalScore,
+    evaluate({ games, now }) {
+      return games
+        .filter((game) => game.completed && now.getTime() - new Date(game.dateTime).getTime() <= FINAL_WINDOW_MS)
+        .map((game) => ({
+          key: `final:${game.eventId}`,
+          type: "final",
+          title: `Final: ${game.away.abbreviation} ${game.away.score}, ${game.home.abbreviation} ${game.home.score}`,
+          body: `${game.away.name} ${game.away.score}, ${game.home.name} ${game.home.score}.`,
+          url: `/game/${game.eventId}`,
+        }));
+    },
+  },
+  {
+    type: "news",
+    enabled: (settings) => settings.teamNews,
+    evaluate({ articles }) {
+      return articles.slice(0, MAX_NEWS_PER_RUN).map((article) => ({
+        key: `news:${article.id}`,
+        type: "news",
+        title: article.title,
+        body: truncate(article.summary || article.source),
+        url: article.url,
+      }));
+    },
+  },
+];
+
+export function wantsGames(settings) {
+  return settings.kickoffMinutes !== null || settings.finalScore;
+}
+
+export function hasActiveRules(settings) {
+  return settings.channels.length > 0 && RULES.some((rule) => rule.enabled(settings));
+}
+
+/**
+ * Every notification the user's enabled rules produce right now.
+ * `games` are scoreboard rows involving the user's followed teams; `articles` are recent,
+ * unmuted news tagged with those teams, newest first.
+ */
+export function evaluateRules({ settings, games = [], articles = [], now = new Date() }) {
+  return RULES.filter((rule) => rule.enabled(settings)).flatMap((rule) => rule.evaluate({ settings, games, articles, now }));
+}
@@ -0,0 +1,161 @@
+import { getCachedValue } from "../cache.js";
+import { createFileOddsProvider } from "./providers/fileProvider.js";
+import { createHttpOddsProvider } from "./providers/httpProvider.js";
+
+const ODDS_CACHE_TTL = 1000 * 60 * 5;
+
+// Provider factories by name. A provider is { name, fetchOdds() } where
+// fetchOdds resolves to raw lines shaped like odds.example.json.
+const providerFactories = new Map([
+  ["file", createFileOddsProvider],
+  ["http", createHttpOddsProvider],
+]);
+
+let activeProvider = null;
+
+/**
+ * Make another provider selectable through ODDS_PROVIDER.
+ */
+export function registerOddsProvider(name, factory) {
+  if (typeof factory !== "function") throw new TypeError("Odds provider factory must be a function");
+  providerFactories.set(name, factory);
+  activeProvider = null;
+}
+
+function getProvider() {
+  if (activeProvider) return activeProvider;
+  const name = process.env.ODDS_PROVIDER || "file";
+  const factory = providerFactories.get(name);
+  if (!factory) throw new Error(`Unknown odds provider "${name}"`);
+  activeProvider = factory();
+  return activeProvider;
+}
+
+function toAmerican(value) {
+  const num = Number(value);
+  return Number.isFinite(num) && num !== 0 ? num : null;
+}
+
+function toLine(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Implied probability of American odds, vig included.
+ */
+export function impliedProbability(americanOdds) {
+  const odds = toAmerican(americanOdds);
+  if (odds === null) return null;
+  return odds < 0 ? -odds / (-odds + 100) : 100 / (odds + 100);
+}
+
+/**
+ * Remove the bookmaker margin from a two-way market by scaling both sides to sum to 1.
+ * Returns null when either price is missing.
+ */
+export function removeVig(priceA, priceB) {
+  const a = impliedProbability(priceA);
+  const b = impliedProbability(priceB);
+  if (a === null || b === null) return null;
+  const overround = a + b;
+  return { a: round(a / overround), b: round(b / overround), vig: round(overround - 1) };
+}
+
+/**
+ * Normalize one raw provider line into moneyline, spread and total markets
+ * keyed by ESPN event id. Spread lines are from the home team's perspective.
+ */
+export function normalizeOddsLine(raw) {
+  const eventId = raw?.eventId !== undefined && raw?.eventId !== null ? String(raw.eventId) : null;
+  if (!eventId) return null;
+
+  const moneyline = {
+    home: toAmerican(raw.moneyline?.home),
+    away: toAmerican(raw.moneyline?.away),
+  };
+  const homeSpread = toLine(raw.spread?.home);
+  const spread = {
+    home: homeSpread,
+    away: homeSpread === null ? null : -homeSpread,
+    homePrice: toAmerican(raw.spread?.homePrice) ?? -110,
+    awayPrice: toAmerican(raw.spread?.awayPrice) ?? -110,
+  };
+  const total = {
+    points: toLine(raw.total?.points),
+    overPrice: toAmerican(raw.total?.overPrice) ?? -110,
+    underPrice: toAmerican(raw.total?.underPrice) ?? -110,
+  };
+
+  const fair = removeVig(moneyline.home, moneyline.away);
+  return {
+    eventId,
+    homeTeamId: raw.homeTeamId !== undefined ? Number(raw.homeTeamId) : null,
+    awayTeamId: raw.awayTeamId !== undefined ? Number(raw.awayTeamId) : null,
+    bookmaker: raw.bookmaker || null,
+    updatedAt: raw.updatedAt || null,
+    moneyline,
+    spread,
+    total,
+    impliedWinProbability: fair ? { home: fair.a, away: fair.b } : null,
+    vig: fair ? fair.vig : null,
+  };
+}
+
+/**
+ * Load every normalized line from the active provider, keyed by event id.
+ * Cached briefly so schedule requests don't re-read the provider each time.
+ */
+export async function getOddsByEvent() {
+  const lines = await getCachedValue(`odds:${process.env.ODDS_PROVIDER || "file"}`, ODDS_CACHE_TTL, async () => {
+    const raw = await getProvider().fetchOdds();
+    return (Array.isArray(raw) ? raw : []).map(normalizeOddsLine).filter(Boolean);
+  });
+  return new Map((lines ?? []).map((line) => [line.eventId, line]));
+}
+
+/**
+ * View one line from a single team's side: its moneyline, spread and win probability.
+ */
+export function oddsForSide(line, homeAway) {
+  if (!line) return null;
+  const side = homeAway === "Home" ? "home" : "away";
+  const other = side === "home" ? "away" : "home";
+  return {
+    eventId: line.eventId,
+    bookmaker: line.bookmaker,
+    updatedAt: line.updatedAt,
+    moneyline: line.moneyline[side],
+    spread: line.spread[side],
+    spreadPrice: line.spread[`${side}Price`],
+    total: line.total.points,
+    winProbability: line.impliedWinProbability?.[side] ?? null,
+    opponentWinProbability: line.impliedWinProbability?.[other] ?? null,
+  };
+}
+
+/**
+ * Attach `odds` to each schedule row that has a matching event line.
+ */
+export async function joinOddsToSchedule(schedule) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return schedule;
+  const oddsByEvent = await getOddsByEvent();
+  return schedule.map((game) => ({
+    ...game,
+    odds: oddsForSide(oddsByEvent.get(game.eventId), game.homeAway),
+  }));
+}
+
+/**
+ * Every line involving the given ESPN team id.
+ */
+export async function getTeamOdds(teamId) {
+  const oddsByEvent = await getOddsByEvent();
+  const id = Number(teamId);
+  return Array.from(oddsByEvent.values()).filter((line) => line.homeTeamId === id || line.awayTeamId === id);
+}
@@ -0,0 +1,28 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_ODDS_FILE = path.join(__dirname, "../odds.json");
+
+/**
+ * Odds provider that reads lines from a local JSON file (ODDS_FILE, default server/odds/odds.json).
+ * A missing file means "no lines yet", not an error.
+ */
+export function createFileOddsProvider({ filePath = process.env.ODDS_FILE || DEFAULT_ODDS_FILE } = {}) {
+  return {
+    name: "file",
+    async fetchOdds() {
+      try {
+        const file = await fs.readFile(filePath, "utf8");
+        const parsed = JSON.parse(file);
+        return Array.isArray(parsed) ? parsed : parsed?.lines ?? [];
+      } catch (err) {
+        if (err?.code === "ENOENT") return [];
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,30 @@
+const ODDS_TIMEOUT_MS = 10000;
+
+/**
+ * Adapter slot for a real bookmaker feed.
+ * Fetches ODDS_API_URL (sending ODDS_API_KEY as a bearer token when set) and
+ * hands each item to `mapLine`, which must return the raw line shape from
+ * odds.example.json (or null to skip the item). The default mapper expects the
+ * feed to already use that shape.
+ */
+export function createHttpOddsProvider({
+  url = process.env.ODDS_API_URL,
+  apiKey = process.env.ODDS_API_KEY,
+  mapLine = (item) => item,
+} = {}) {
+  if (!url) throw new Error("ODDS_API_URL is required for the http odds provider");
+
+  return {
+    name: "http",
+    async fetchOdds() {
+      const headers = { Accept: "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const res = await fetch(url, { headers, signal: AbortSignal.timeout(ODDS_TIMEOUT_MS) });
+      if (!res.ok) throw new Error(`Odds feed responded ${res.status}`);
+      const body = await res.json();
+      const items = Array.isArray(body) ? body : body?.lines ?? [];
+      return items.map(mapLine).filter(Boolean);
+    },
+  };
+}
@@ -0,0 +1,136 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { getFollowedTeams } from "./preferences.js";
+import { getTeamByPreferenceKey } from "./teamData.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PAGES_DIR = path.join(__dirname, "../pages");
+// Pages are read once in production; elsewhere every request re-reads them so edits show up
+const cacheTemplates = process.env.NODE_ENV === "production";
+const templates = new Map();
+
+// Markers a page template puts where the shell fills in its parts
+const HEAD_MARKER = "<!-- shell:head -->";
+const NAV_MARKER = "<!-- shell:nav -->";
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+/**
+ * JSON that is safe inside a <script> element: nothing in it can close the tag.
+ */
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Everything a page needs about the signed-in user, in one lookup: the account, the
+ * preferred team and the theme colors taken from it. Served inline with every page and
+ * from /api/bootstrap.
+ * Return: { user: { id, username, email, emailVerified, role, preferences, followedTeams },
+ *   team, theme: { primary, secondary } } or null when the user no longer exists
+ */
+export async function loadBootstrap(userId) {
+  const user = await getDB().collection("users").findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { username: 1, email: 1, emailVerified: 1, role: 1, preferences: 1 } }
+  );
+  if (!user) return null;
+
+  const preferences = user.preferences ?? {};
+  const team = preferences.team ? await getTeamByPreferenceKey(preferences.team) : null;
+  const color = (index) => (HEX_COLOR.test(team?.colors?.[index] ?? "") ? team.colors[index] : null);
+
+  return {
+    user: {
+      id: String(user._id),
+      username: user.username,
+      email: user.email ?? null,
+      emailVerified: user.emailVerified === true,
+      role: user.role ?? "user",
+      preferences,
+      followedTeams: getFollowedTeams(preferences),
+    },
+    team: team ? { key: preferences.team, ...team } : null,
+    theme: { primary: color(0), secondary: color(1) },
+  };
+}
+
+function renderNav(bootstrap) {
+  if (!bootstrap) {
+    return `<div>
+            <nav id="nav">
+                <ul>
+                    <li><b>PlaybookNews</b></li>
+                    <li><a href="/">Home</a></li>
+                    <li><a href="/login">Login</a></li>
+                    <li><a href="/signup">Sign Up</a></li>
+                </ul>
+            </nav>
+        </div>`;
+  }
+
+  const adminLink = bootstrap.user.role === "admin" ? `\n                        <li><a href="/admin">Admin</a></li>` : "";
+  return `<div>
+            <nav id="nav">
+                <ul>
+                    <li><b>PlaybookNews</b></li>
+                    <li><a href="/">Home</a></li>
+                    <li><a href="/dashboard" class="log">Dashboard</a></li>
+                    <li><a href="/news" class="log">News</a></li>
+                    <li><a href="/teams" class="log">Teams</a></li>
+                    <li><a href="/schedule" class="log">Schedule</a></li>
+                    <li><a href="/stats" class="log">Stats</a></li>
+                    <li class="drop" id="user-dropdown">
+                        <button type="button" class="drop-btn log" id="user-btn">
+                        <span id="user" style="text-shadow: 5px 5px 4px black;">${escapeHtml(bootstrap.user.username)}</span>
+                        </button>
+                        <ul class="drop-menu" id="user-menu">
+                        <li><a href="/settings">Settings</a></li>${adminLink}
+                        <li><a href="/logout">Logout</a></li>
+                        </ul>
+                    </li>
+                </ul>
+            </nav>
+        </div>`;
+}
+
+function renderHead(bootstrap) {
+  const theme = bootstrap?.theme ?? {};
+  const vars = [
+    theme.primary ? `--team-primary: ${theme.primary};` : "",
+    theme.secondary ? `--team-secondary: ${theme.secondary};` : "",
+  ].filter(Boolean);
+  const style = vars.length > 0 ? `<style id="shell-theme">:root { ${vars.join(" ")} }</style>\n        ` : "";
+  return `${style}<script>window.__BOOTSTRAP__ = ${scriptJson(bootstrap)};</script>`;
+}
+
+async function readTemplate(file) {
+  if (cacheTemplates && templates.has(file)) return templates.get(file);
+  const html = await fs.readFile(path.join(PAGES_DIR, file), "utf8");
+  if (cacheTemplates) templates.set(file, html);
+  return html;
+}
+
+/**
+ * A page from pages/ with the shell filled in: the theme and bootstrap data where the
+ * template has <!-- shell:head -->, and the nav plus /shell.js where it has
+ * <!-- shell:nav -->. `bootstrap` is null for visitors who are not logged in.
+ */
+export async function renderPage(file, bootstrap) {
+  const html = await readTemplate(file);
+  return html
+    .replace(HEAD_MARKER, () => renderHead(bootstrap))
+    .replace(NAV_MARKER, () => `${renderNav(bootstrap)}\n        <script src="/shell.js"></script>`);
+}
@@ -0,0 +1,37 @@
+import { getCachedValue } from "./cache.js";
+import { fetchPlayerProfile } from "./fetch.js";
+import { getAllTeams } from "./teamData.js";
+import { getCurrentSeason } from "./season.js";
+import { UpstreamError } from "./upstreamClient.js";
+
+const PROFILE_TTL = 1000 * 60 * 30;
+
+export function isValidAthleteId(athleteId) {
+  return typeof athleteId === "string" && /^\d{1,12}$/.test(athleteId);
+}
+
+/**
+ * Load a player's profile (bio, per-season and career stats, game log for `season`)
+ * with preference keys attached to every team id so pages can link back to teams.
+ * `teamId` is a hint for which roster the bio comes from, so it is part of the cache key.
+ * Return: the profile, or null when ESPN has nothing for the athlete.
+ * Throws UpstreamError when ESPN fails, so the failure is not cached.
+ */
+export async function getPlayerProfile({ athleteId, season = getCurrentSeason().season, seasonType = "regular", teamId = null }) {
+  if (!isValidAthleteId(athleteId)) return null;
+
+  const profile = await getCachedValue(`espn:player:${athleteId}:${season}:${seasonType}:${teamId ?? "latest"}`, PROFILE_TTL, async () => {
+    const result = await fetchPlayerProfile(athleteId, { season, seasonType, teamId });
+    if (!result.ok) throw new UpstreamError(result.error);
+    return result.data;
+  });
+  if (!profile) return null;
+
+  const teams = await getAllTeams();
+  const keyFor = (id) => teams.find((team) => Number(team.id) === id)?.key ?? null;
+  return {
+    ...profile,
+    player: { ...profile.player, teamKey: keyFor(profile.player.teamId) },
+    seasons: profile.seasons.map((row) => ({ ...row, teamKey: keyFor(row.teamId) })),
+  };
+}
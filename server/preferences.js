@@ -0,0 +1,151 @@
+import { getDB } from "./db.js";
+import { getTeamByPreferenceKey } from "./teamData.js";
+import { SCORING_FORMATS, validateCustomRules } from "./fantasy.js";
+import { validateNotificationSettings } from "./notify/rules.js";
+
+const MAX_LIST_ITEMS = 50;
+const MAX_ITEM_LENGTH = 60;
+const MAX_FOLLOWED_TEAMS = 8;
+
+/**
+ * Trim, dedupe (case-insensitively) and bound a list of user-entered strings.
+ * Returns null when the value is not a list of strings.
+ */
+function normalizeStringList(value) {
+  if (!Array.isArray(value)) return null;
+  const seen = new Set();
+  const out = [];
+  for (const item of value) {
+    if (typeof item !== "string") return null;
+    const trimmed = item.trim().slice(0, MAX_ITEM_LENGTH);
+    const dedupeKey = trimmed.toLowerCase();
+    if (!trimmed || seen.has(dedupeKey)) continue;
+    seen.add(dedupeKey);
+    out.push(trimmed);
+  }
+  return out.slice(0, MAX_LIST_ITEMS);
+}
+
+// One validator per supported preference key.
+// Each returns { value } on success or { error } with a user-facing message.
+const VALIDATORS = {
+  async team(value) {
+    const team = await getTeamByPreferenceKey(value);
+    return team ? { value: value.trim() } : { error: "Invalid team key. Use location-only team names." };
+  },
+  async teams(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return { error: "teams must be a non-empty list of team keys" };
+    }
+    const keys = [];
+    for (const key of value) {
+      if (!(await getTeamByPreferenceKey(key))) {
+        return { error: `Invalid team key "${key}". Use location-only team names.` };
+      }
+      if (!keys.includes(key.trim())) keys.push(key.trim());
+    }
+    if (keys.length > MAX_FOLLOWED_TEAMS) {
+      return { error: `You can follow at most ${MAX_FOLLOWED_TEAMS} teams` };
+    }
+    return { value: keys };
+  },
+  mutedKeywords(value) {
+    const list = normalizeStringList(value);
+    return list ? { value: list } : { error: "mutedKeywords must be a list of strings" };
+  },
+  mutedSources(value) {
+    const list = normalizeStringList(value);
+    return list ? { value: list } : { error: "mutedSources must be a list of strings" };
+  },
+  followedPlayers(value) {
+    const list = normalizeStringList(value);
+    return list ? { value: list } : { error: "followedPlayers must be a list of strings" };
+  },
+  fantasyFormat(value) {
+    const ok = value === "custom" || Object.prototype.hasOwnProperty.call(SCORING_FORMATS, value);
+    return ok ? { value } : { error: `fantasyFormat must be one of ${[...Object.keys(SCORING_FORMATS), "custom"].join(", ")}` };
+  },
+  fantasyCustomRules(value) {
+    const result = validateCustomRules(value);
+    return result.error ? { error: result.error } : { value: result.rules };
+  },
+  notifications(value) {
+    const result = validateNotificationSettings(value);
+    return result.error ? { error: result.error } : { value: result.settings };
+  },
+};
+
+/**
+ * Validate a partial preferences update.
+ * Return: { error } for the first invalid key, otherwise { preferences } holding normalized values.
+ */
+export async function normalizePreferences(preferences) {
+  if (!preferences || typeof preferences !== "object" || Array.isArray(preferences)) {
+    return { error: "Invalid preferences format" };
+  }
+
+  const out = {};
+  for (const [key, value] of Object.entries(preferences)) {
+    const validator = VALIDATORS[key];
+    if (!validator) {
+      return { error: `Unknown preference: ${key}` };
+    }
+    const result = await validator(value);
+    if (result.error) return { error: result.error };
+    out[key] = result.value;
+  }
+
+  // `team` is the primary team and must be one of the followed teams.
+  // A list sent without a primary makes its first entry primary.
+  if (out.teams) {
+    if (out.team === undefined) {
+      out.team = out.teams[0];
+    } else if (!out.teams.includes(out.team)) {
+      return { error: "The primary team must be one of the followed teams" };
+    }
+  }
+  return { preferences: out };
+}
+
+/**
+ * Ordered followed teams from stored preferences, with the primary team flagged.
+ * Documents written before multi-team support only have `team`; they read as a one-team list,
+ * and a primary set on its own (e.g. from /pref) is put at the front if missing.
+ * Return: [{ key, primary }]
+ */
+export function getFollowedTeams(preferences = {}) {
+  const keys = Array.isArray(preferences.teams)
+    ? preferences.teams.filter((key) => typeof key === "string" && key.trim()).map((key) => key.trim())
+    : [];
+  const primary = typeof preferences.team === "string" && preferences.team.trim() ? preferences.team.trim() : keys[0];
+  if (primary && !keys.includes(primary)) keys.unshift(primary);
+  return keys.map((key) => ({ key, primary: key === primary }));
+}
+
+/**
+ * One-time upgrade for single-team users: copy preferences.team into preferences.teams.
+ * Safe to run on every start; only documents still missing the list are touched.
+ */
+export async function migrateFollowedTeams() {
+  const result = await getDB().collection("users").updateMany(
+    { "preferences.team": { $type: "string" }, "preferences.teams": { $exists: false } },
+    [{ $set: { "preferences.teams": ["$preferences.team"] } }]
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Build an update document that changes only the given preference keys,
+ * so saving one setting never wipes the others. Setting a primary team on its
+ * own also adds it to the followed list.
+ */
+export function toPreferenceUpdate(preferences) {
+  const update = { $set: {} };
+  for (const [key, value] of Object.entries(preferences)) {
+    update.$set[`preferences.${key}`] = value;
+  }
+  if (preferences.team !== undefined && preferences.teams === undefined) {
+    update.$addToSet = { "preferences.teams": preferences.team };
+  }
+  return update;
+}
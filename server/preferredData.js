@@ -1,46 +1,177 @@
-import { getCachedValue } from "./cache.js";
-import { fetchTeamPlayers, fetchTeamSchedule, fetchTeamStats, DEFAULT_SEASON } from "./fetch.js";
+import { getCachedValue, peekCachedValue, refreshCachedValue } from "./cache.js";
+import { fetchTeamPlayers, fetchTeamSchedule, fetchTeamStats } from "./fetch.js";
+import { getCurrentSeason, SEASON_TYPES } from "./season.js";
+import { joinOddsToSchedule } from "./odds/odds.js";
+import { UpstreamError } from "./upstreamClient.js";
 
 const CACHE_TTL = {
   stats: 1000 * 60 * 30,
   players: 1000 * 60 * 30,
   schedule: 1000 * 60 * 60 * 6,
 };
+// A player list with gaps is kept only briefly so the missing players are retried soon
+const PARTIAL_PLAYERS_TTL = 1000 * 60;
+
+const SECTION_ERROR_MESSAGES = {
+  timeout: "ESPN took too long to answer.",
+  rate_limited: "ESPN is limiting requests right now.",
+  circuit_open: "ESPN is unavailable right now.",
+  server_error: "ESPN is unavailable right now.",
+  network: "ESPN could not be reached.",
+  no_fixture: "No recorded ESPN response for this request.",
+};
+
+// Players cache key -> { missing, error } for player lists cached with gaps, so every
+// request served from that entry is told, not just the one that loaded it.
+const partialPlayers = new Map();
+
+// e.g. espn:players:2025:regular:2, so `espn:players:2025:*` still covers a whole season
+function cacheKey(type, season, seasonType, teamId) {
+  return `espn:${type}:${season}:${seasonType}:${teamId}`;
+}
+
+// How each section is fetched and how long it is cached. Loaders throw UpstreamError on
+// failure so nothing is cached; a null or undefined result is not cached either.
+const SECTIONS = {
+  stats: {
+    ttl: () => CACHE_TTL.stats,
+    async load(teamId, season, seasonType) {
+      const result = await fetchTeamStats(teamId, season, seasonType);
+      if (!result.ok) throw new UpstreamError(result.error);
+      return result.data?.ok === "yes" ? result.data : null;
+    },
+  },
+  players: {
+    ttl: (key) => (partialPlayers.has(key) ? PARTIAL_PLAYERS_TTL : CACHE_TTL.players),
+    async load(teamId, season, seasonType, key) {
+      const result = await fetchTeamPlayers(teamId, season, seasonType);
+      if (!result.ok) throw new UpstreamError(result.error);
+      if (result.missing > 0) {
+        partialPlayers.set(key, { missing: result.missing, error: result.error });
+      } else {
+        partialPlayers.delete(key);
+      }
+      return result.data;
+    },
+  },
+  schedule: {
+    ttl: () => CACHE_TTL.schedule,
+    async load(teamId, season, seasonType) {
+      const result = await fetchTeamSchedule(teamId, season, seasonType);
+      if (!result.ok) throw new UpstreamError(result.error);
+      return result.data;
+    },
+  },
+};
+
+export const PREFERRED_DATA_SECTIONS = Object.keys(SECTIONS);
+
+/**
+ * One section for one team from the cache, loading it on a miss, or with `refresh`
+ * loading it from ESPN whatever the cache holds.
+ */
+function loadSection(section, teamId, season, seasonType, { refresh = false } = {}) {
+  const { ttl, load } = SECTIONS[section];
+  const key = cacheKey(section, season, seasonType, teamId);
+  const read = refresh ? refreshCachedValue : getCachedValue;
+  return read(key, () => ttl(key), () => load(teamId, season, seasonType, key));
+}
+
+function loadPlayers(teamId, season, seasonType) {
+  return loadSection("players", teamId, season, seasonType);
+}
+
+/**
+ * Reload one section (stats, players or schedule) of a team from ESPN into the cache,
+ * for the prefetch jobs. Throws UpstreamError when ESPN fails; the cached copy is kept.
+ * Return: { partial } where partial is true for a player list with gaps
+ */
+export async function refreshTeamSection(section, { team, season = getCurrentSeason().season, seasonType = "regular" }) {
+  if (!SECTIONS[section]) throw new TypeError(`Unknown preferred data section "${section}"`);
+  const teamId = Number(team.id);
+  await loadSection(section, teamId, season, seasonType, { refresh: true });
+  return { partial: section === "players" && partialPlayers.has(cacheKey("players", season, seasonType, teamId)) };
+}
+
+/**
+ * What a section's error looks like to the client: { reason, message, retryAfter? }.
+ * Anything other than an upstream failure is a bug and is rethrown.
+ */
+function describeSectionError(err) {
+  if (!(err instanceof UpstreamError)) throw err;
+  const described = { reason: err.kind, message: SECTION_ERROR_MESSAGES[err.kind] ?? "ESPN sent a response we could not use." };
+  if (err.retryAfterMs) described.retryAfter = Math.ceil(err.retryAfterMs / 1000);
+  return described;
+}
+
+/**
+ * Return the team's cached player list without waiting on ESPN.
+ * On a cold cache this starts the load in the background and returns null,
+ * so callers that only use players as a hint never pay for the roster fan-out.
+ */
+export function peekTeamPlayers({ team, season = getCurrentSeason().season, seasonType = "regular" }) {
+  if (!team?.id) return null;
+  const teamId = Number(team.id);
+  const cached = peekCachedValue(cacheKey("players", season, seasonType, teamId));
+  if (cached !== undefined) return cached;
+  loadPlayers(teamId, season, seasonType).catch(() => {});
+  return null;
+}
 
 /**
  * Load preferred team data from ESPN and cache each data type independently.
- * `include` controls which payloads are fetched.
+ * `include` controls which payloads are fetched. A section ESPN fails to deliver comes
+ * back empty (stats null, players and schedule []) with its reason under `errors`, and
+ * `degraded` is true; failures are not cached, so the next request tries again.
+ * Return: { stats, players, schedule, degraded, errors: { [section]: { reason, message, retryAfter? } } }
  */
-export async function getPreferredData({ team, season = DEFAULT_SEASON, include = new Set(["stats", "players", "schedule"]) }) {
+export async function getPreferredData({ team, season = getCurrentSeason().season, seasonType = "regular", include = new Set(["stats", "players", "schedule"]) }) {
   if (!team?.id) {
-    return { stats: null, players: [], schedule: [] };
+    return { stats: null, players: [], schedule: [], degraded: false, errors: {} };
   }
 
   const teamId = Number(team.id);
-  const safeSeason = Number.isFinite(Number(season)) ? Number(season) : DEFAULT_SEASON;
+  const safeSeason = Number.isFinite(Number(season)) ? Number(season) : getCurrentSeason().season;
+  const safeType = Object.prototype.hasOwnProperty.call(SEASON_TYPES, seasonType) ? seasonType : "regular";
 
   const wantsStats = include.has("stats");
   const wantsPlayers = include.has("players");
   const wantsSchedule = include.has("schedule");
 
+  const errors = {};
+  const settle = async (section, load, fallback) => {
+    try {
+      return await load();
+    } catch (err) {
+      errors[section] = describeSectionError(err);
+      return fallback;
+    }
+  };
+
   const [stats, players, schedule] = await Promise.all([
-    wantsStats
-      ? getCachedValue(`espn:stats:${safeSeason}:${teamId}`, CACHE_TTL.stats, async () => {
-          const data = await fetchTeamStats(teamId, safeSeason);
-          return data?.ok === "yes" ? data : null;
-        })
-      : Promise.resolve(null),
-    wantsPlayers
-      ? getCachedValue(`espn:players:${safeSeason}:${teamId}`, CACHE_TTL.players, async () => {
-          return await fetchTeamPlayers(teamId, safeSeason);
-        })
-      : Promise.resolve([]),
-    wantsSchedule
-      ? getCachedValue(`espn:schedule:${safeSeason}:${teamId}`, CACHE_TTL.schedule, async () => {
-          return await fetchTeamSchedule(teamId, safeSeason);
-        })
-      : Promise.resolve([]),
+    wantsStats ? settle("stats", () => loadSection("stats", teamId, safeSeason, safeType), null) : Promise.resolve(null),
+    wantsPlayers ? settle("players", () => loadPlayers(teamId, safeSeason, safeType), []) : Promise.resolve([]),
+    wantsSchedule ? settle("schedule", () => loadSection("schedule", teamId, safeSeason, safeType), []) : Promise.resolve([]),
   ]);
 
-  return { stats, players, schedule };
+  const partial = wantsPlayers && !errors.players ? partialPlayers.get(cacheKey("players", safeSeason, safeType, teamId)) : null;
+  if (partial) {
+    errors.players = {
+      reason: "partial",
+      message: `Stats for ${partial.missing} player${partial.missing === 1 ? "" : "s"} could not be loaded from ESPN.`,
+      missing: partial.missing,
+    };
+  }
+
+  // Odds move faster than the schedule, so they are joined after the schedule cache.
+  let scheduleWithOdds = schedule;
+  if (wantsSchedule) {
+    try {
+      scheduleWithOdds = await joinOddsToSchedule(schedule);
+    } catch {
+      scheduleWithOdds = schedule;
+    }
+  }
+
+  return { stats, players, schedule: scheduleWithOdds, degraded: Object.keys(errors).length > 0, errors };
 }
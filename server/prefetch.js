@@ -0,0 +1,100 @@
+import { defineJob } from "./scheduler.js";
+import { getAllTeams } from "./teamData.js";
+import { defaultSeasonQuery } from "./season.js";
+import { getPreferredData, PREFERRED_DATA_SECTIONS, refreshTeamSection } from "./preferredData.js";
+import { logger } from "./logger.js";
+
+const MINUTE = 1000 * 60;
+// How often each section is reloaded for every team, overridable per section with
+// PREFETCH_STATS_MS, PREFETCH_PLAYERS_MS and PREFETCH_SCHEDULE_MS. Each stays under
+// the section's cache TTL so entries are replaced before they expire.
+const DEFAULT_EVERY_MS = {
+  stats: 20 * MINUTE,
+  players: 20 * MINUTE,
+  schedule: 3 * 60 * MINUTE,
+};
+// Teams with a game on get every section reloaded this often instead (PREFETCH_GAMEDAY_MS)
+const DEFAULT_GAME_DAY_MS = 10 * MINUTE;
+// A team is on a game day from 12 hours before a kickoff until 6 hours after it,
+// long enough for ESPN to publish the final stats
+const GAME_DAY_BEFORE_MS = 12 * 60 * MINUTE;
+const GAME_DAY_AFTER_MS = 6 * 60 * MINUTE;
+
+function readMs(name, fallback) {
+  const parsed = Number(process.env[name]);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function cadence(section) {
+  return {
+    everyMs: readMs(`PREFETCH_${section.toUpperCase()}_MS`, DEFAULT_EVERY_MS[section]),
+    gameDayMs: readMs("PREFETCH_GAMEDAY_MS", DEFAULT_GAME_DAY_MS),
+  };
+}
+
+/**
+ * Whether the team plays around `now`, from its cached schedule for the season.
+ */
+async function isGameDay(team, season, seasonType, now) {
+  const { schedule } = await getPreferredData({ team, season, seasonType, include: new Set(["schedule"]) });
+  return schedule.some((game) => {
+    const kickoff = Date.parse(game.dateTime);
+    return Number.isFinite(kickoff) && now >= kickoff - GAME_DAY_BEFORE_MS && now <= kickoff + GAME_DAY_AFTER_MS;
+  });
+}
+
+/**
+ * Reload one section for every team that is due: not refreshed within its cadence, or
+ * within the game day cadence while it has a game on. `state.refreshedAt` (ESPN team id ->
+ * when) carries over between runs for the current season, so a team that failed is
+ * retried on the next run and the rest wait their turn. It warms the season and type
+ * requests get when they don't pick one, so those are the entries that are read.
+ */
+async function prefetchSection(section, { state, now }) {
+  const { everyMs, gameDayMs } = cadence(section);
+  const { season, seasonType } = defaultSeasonQuery(now);
+  const scope = `${season}:${seasonType}`;
+  const previous = state.scope === scope ? state.refreshedAt ?? {} : {};
+  const refreshedAt = { ...previous };
+  const counts = { refreshed: 0, gameDay: 0, partial: 0, failed: 0 };
+
+  const teams = await getAllTeams();
+  for (const team of teams) {
+    const sinceLast = now - (previous[team.id] ? new Date(previous[team.id]).getTime() : 0);
+    const gameDay = sinceLast < everyMs && sinceLast >= gameDayMs && (await isGameDay(team, season, seasonType, now));
+    if (sinceLast < everyMs && !gameDay) continue;
+
+    try {
+      const { partial } = await refreshTeamSection(section, { team, season, seasonType });
+      refreshedAt[team.id] = new Date();
+      counts.refreshed += 1;
+      if (gameDay) counts.gameDay += 1;
+      if (partial) counts.partial += 1;
+    } catch (err) {
+      counts.failed += 1;
+      logger.warn("Prefetch failed", { section, team: team.key, err });
+    }
+  }
+
+  return {
+    state: { scope, refreshedAt },
+    result: { season, seasonType, teams: teams.length, ...counts },
+  };
+}
+
+/**
+ * One scheduler job per preferred data section (prefetch:stats, prefetch:players,
+ * prefetch:schedule) keeping every team's data warm in the cache, so requests read it
+ * instead of waiting on ESPN. Each job checks for due teams at the game day cadence.
+ */
+export function definePrefetchJobs() {
+  for (const section of PREFERRED_DATA_SECTIONS) {
+    const { everyMs, gameDayMs } = cadence(section);
+    defineJob({
+      name: `prefetch:${section}`,
+      description: `Reload ${section} for every team from ESPN`,
+      intervalMs: Math.min(everyMs, gameDayMs),
+      run: (context) => prefetchSection(section, context),
+    });
+  }
+}
@@ -0,0 +1,133 @@
+import { logger } from "./logger.js";
+
+// Requests are counted per fixed window, and a sliding window is estimated from the
+// current and previous window: previous * (share of it still in range) + current.
+// That keeps the store to two counters per key instead of a log of timestamps.
+
+const SWEEP_INTERVAL_MS = 1000 * 60;
+
+/**
+ * Default store: counters in this process's memory. Every process keeps its own counts,
+ * so run the Mongo store (see mongoRateLimit.js) when more than one process serves traffic.
+ * A store is { increment(key, ttlMs) -> count, get(key) -> count }.
+ */
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return {
+    async increment(key, ttlMs) {
+      const now = Date.now();
+      const counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + ttlMs });
+        return 1;
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    },
+  };
+}
+
+let activeStore = null;
+
+function getStore() {
+  if (!activeStore) activeStore = createMemoryRateLimitStore();
+  return activeStore;
+}
+
+/**
+ * Replace the counter store, e.g. with the shared Mongo store at startup.
+ */
+export function setRateLimitStore(store) {
+  activeStore = store ?? null;
+}
+
+/**
+ * How long until the estimate drops back under `max`. Once the current window alone is
+ * full, that is at least the rest of this window; otherwise it is when enough of the
+ * previous window has slid out of range.
+ */
+function retryAfterMs({ previous, current, max, windowMs, elapsed }) {
+  if (current >= max || previous === 0) return windowMs - elapsed;
+  const freeAt = windowMs * (1 - (max - current) / previous);
+  return Math.max(freeAt - elapsed, 0);
+}
+
+/**
+ * Count one request against `key` in the limiter called `name`.
+ * Return: { allowed, limit, remaining, retryAfterMs }
+ */
+export async function hitRateLimit(name, key, { windowMs, max }) {
+  const now = Date.now();
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsed = now - windowIndex * windowMs;
+  const store = getStore();
+
+  // Each counter is still needed as the "previous" window for one window after its own
+  const [current, previous] = await Promise.all([
+    store.increment(`${name}:${key}:${windowIndex}`, windowMs * 2),
+    store.get(`${name}:${key}:${windowIndex - 1}`),
+  ]);
+
+  const estimate = previous * ((windowMs - elapsed) / windowMs) + current;
+  const allowed = estimate <= max;
+  return {
+    allowed,
+    limit: max,
+    remaining: Math.max(0, Math.floor(max - estimate)),
+    retryAfterMs: allowed ? 0 : retryAfterMs({ previous, current, max, windowMs, elapsed }),
+  };
+}
+
+/**
+ * Answer a request that is over its budget: 429 with Retry-After in whole seconds.
+ */
+export function sendTooManyRequests(res, retryAfterMs, message = "Too many requests.") {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({ error: `${message} Try again in ${seconds} seconds.`, retryAfter: seconds });
+}
+
+/**
+ * Express middleware allowing `max` requests per sliding `windowMs` for each key.
+ * `key(req)` picks what is limited (client IP by default); returning null skips the
+ * limiter for that request. A store failure lets the request through rather than
+ * locking everyone out.
+ */
+export function rateLimit({ name, windowMs, max, key = (req) => req.ip, message }) {
+  if (!name) throw new TypeError("Rate limiters need a name");
+  if (!(windowMs > 0) || !(max > 0)) throw new TypeError("Rate limiters need a positive windowMs and max");
+
+  return async function rateLimitMiddleware(req, res, next) {
+    const limitKey = key(req);
+    if (limitKey === null || limitKey === undefined || limitKey === "") return next();
+
+    let result;
+    try {
+      result = await hitRateLimit(name, limitKey, { windowMs, max });
+    } catch (err) {
+      logger.error("Rate limiter failed", { limiter: name, err });
+      return next();
+    }
+
+    res.set("RateLimit-Limit", String(result.limit));
+    res.set("RateLimit-Remaining", String(result.remaining));
+    if (!result.allowed) {
+      return sendTooManyRequests(res, result.retryAfterMs, message);
+    }
+    return next();
+  };
+}
@@ -0,0 +1,49 @@
+import crypto from "crypto";
+import { logger, runWithLogContext } from "./logger.js";
+import { createHistogram } from "./metrics.js";
+
+// Probes and scrapes hit these every few seconds; their request lines are logged at debug
+const QUIET_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+// Accept an upstream proxy's id when it looks like one, so logs line up across services
+const INCOMING_ID = /^[\w.-]{8,64}$/;
+
+const httpDuration = createHistogram("http_request_duration_seconds", "Time to answer HTTP requests, by route.");
+
+/**
+ * The route pattern that handled the request (e.g. /api/team/:id), so metrics don't get a
+ * series per team or user. Requests no route matched (static files, 404s) share one label.
+ */
+export function routeLabel(req) {
+  if (!req.route?.path) return "unmatched";
+  return `${req.baseUrl || ""}${req.route.path}`;
+}
+
+/**
+ * Give every request an id (echoed in X-Request-Id), attach it to every log line written
+ * while serving it, and log plus time the response once it is sent.
+ */
+export function requestLogger(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    httpDuration.observe({ method: req.method, route, status_code: res.statusCode }, seconds);
+    runWithLogContext({ requestId: req.id }, () => {
+      const level = res.statusCode >= 500 ? "error" : QUIET_PATHS.has(req.path) ? "debug" : "info";
+      logger[level]("request", {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        userId: req.user?.id,
+      });
+    });
+  });
+
+  runWithLogContext({ requestId: req.id }, next);
+}
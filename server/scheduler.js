@@ -0,0 +1,168 @@
+import os from "os";
+import crypto from "crypto";
+import { getDB } from "./db.js";
+import { logger } from "./logger.js";
+import { createCounter, createGauge } from "./metrics.js";
+
+export const JOBS_COLLECTION = "jobs";
+
+const DEFAULT_TICK_MS = 1000 * 30;
+const DEFAULT_LOCK_MS = 1000 * 60 * 5;
+
+// Identifies this process as a lock owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// name -> { name, description, intervalMs, lockMs, run }
+const jobs = new Map();
+// Jobs this process is starting or running right now
+const running = new Set();
+let tickTimer = null;
+
+const jobRuns = createCounter("job_runs_total", "Scheduled job runs by job and status (ok, failed).");
+const jobLastSuccess = createGauge("job_last_success_timestamp_seconds", "When each scheduled job last finished without throwing, as a Unix timestamp.");
+
+/**
+ * Register a job. Every process that starts the scheduler ticks every job, and a lock
+ * document per job in the `jobs` collection lets one process at a time run it.
+ * `run({ state, now })` receives whatever it returned as `state` last time (from any
+ * process) and returns { state, result } (both optional); `result` is kept for the
+ * admin console. The next run is due `intervalMs` after this one finishes.
+ * `lockMs` is how long a process that dies mid-run keeps the job; a live run keeps
+ * extending it.
+ */
+export function defineJob({ name, description = "", intervalMs, lockMs = DEFAULT_LOCK_MS, run }) {
+  if (!name) throw new TypeError("Jobs need a name");
+  if (!(intervalMs > 0)) throw new TypeError(`Job ${name} needs a positive intervalMs`);
+  if (typeof run !== "function") throw new TypeError(`Job ${name} needs a run function`);
+  if (jobs.has(name)) throw new Error(`Job ${name} is already defined`);
+  jobs.set(name, { name, description, intervalMs, lockMs, run });
+}
+
+/**
+ * Take the job's lock if it is free and the job is due. Inserting the lock for a job
+ * that already has one fails on the duplicate _id, which just means someone else has it.
+ * Return: the lock document, or null
+ */
+async function acquireLock(job, now) {
+  const free = { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+  const due = { $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] };
+  try {
+    return await getDB().collection(JOBS_COLLECTION).findOneAndUpdate(
+      { _id: job.name, $and: [free, due] },
+      { $set: { owner: instanceId, lockedUntil: new Date(now.getTime() + job.lockMs), lastStartedAt: now } },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+async function runJob(job) {
+  const now = new Date();
+  const lock = await acquireLock(job, now);
+  if (!lock) return;
+
+  const collection = getDB().collection(JOBS_COLLECTION);
+  const heartbeat = setInterval(() => {
+    collection
+      .updateOne({ _id: job.name, owner: instanceId }, { $set: { lockedUntil: new Date(Date.now() + job.lockMs) } })
+      .catch((err) => logger.warn("Could not extend job lock", { job: job.name, err }));
+  }, Math.max(1000, Math.floor(job.lockMs / 3)));
+  heartbeat.unref();
+
+  let update;
+  try {
+    const outcome = (await job.run({ state: lock.state ?? {}, now })) ?? {};
+    const finishedAt = new Date();
+    update = {
+      lastStatus: "ok",
+      lastError: null,
+      lastResult: outcome.result ?? null,
+      state: outcome.state ?? lock.state ?? {},
+      lastSucceededAt: finishedAt,
+      nextRunAt: new Date(finishedAt.getTime() + job.intervalMs),
+    };
+    jobRuns.inc({ job: job.name, status: "ok" });
+    jobLastSuccess.set({ job: job.name }, Math.round(finishedAt.getTime() / 1000));
+  } catch (err) {
+    logger.error("Scheduled job failed", { job: job.name, err });
+    update = {
+      lastStatus: "failed",
+      lastError: err?.message ?? String(err),
+      nextRunAt: new Date(Date.now() + job.intervalMs),
+    };
+    jobRuns.inc({ job: job.name, status: "failed" });
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  await collection.updateOne(
+    { _id: job.name, owner: instanceId },
+    {
+      $set: { ...update, lastFinishedAt: finishedAt, lastDurationMs: finishedAt - now, lockedUntil: null },
+      $unset: { owner: "" },
+    }
+  );
+  logger.info("Scheduled job finished", { job: job.name, status: update.lastStatus, durationMs: finishedAt - now });
+}
+
+/**
+ * Check every job on an interval (JOB_TICK_MS, default 30 seconds) and run the ones
+ * that are due and not locked by another process. Jobs run alongside each other;
+ * one job never overlaps itself.
+ */
+export function startScheduler({ tickMs = Number(process.env.JOB_TICK_MS) || DEFAULT_TICK_MS } = {}) {
+  if (tickTimer) return;
+
+  const tick = () => {
+    for (const job of jobs.values()) {
+      if (running.has(job.name)) continue;
+      running.add(job.name);
+      runJob(job)
+        .catch((err) => logger.error("Could not run scheduled job", { job: job.name, err }))
+        .finally(() => running.delete(job.name));
+    }
+  };
+
+  tickTimer = setInterval(tick, tickMs);
+  tickTimer.unref();
+  tick();
+}
+
+export function stopScheduler() {
+  if (tickTimer) clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+/**
+ * Every defined job with its last run as recorded in Mongo (shared by all processes).
+ * Return: [{ name, description, intervalMs, running, owner, lockedUntil, lastStartedAt,
+ *   lastFinishedAt, lastSucceededAt, lastStatus, lastError, lastDurationMs, lastResult, nextRunAt }]
+ */
+export async function getJobStatuses() {
+  const docs = await getDB().collection(JOBS_COLLECTION).find({ _id: { $in: Array.from(jobs.keys()) } }).toArray();
+  const byName = new Map(docs.map((doc) => [doc._id, doc]));
+  const now = new Date();
+
+  return Array.from(jobs.values(), (job) => {
+    const doc = byName.get(job.name) ?? {};
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      running: Boolean(doc.owner && doc.lockedUntil && doc.lockedUntil > now),
+      owner: doc.owner ?? null,
+      lockedUntil: doc.lockedUntil ?? null,
+      lastStartedAt: doc.lastStartedAt ?? null,
+      lastFinishedAt: doc.lastFinishedAt ?? null,
+      lastSucceededAt: doc.lastSucceededAt ?? null,
+      lastStatus: doc.lastStatus ?? null,
+      lastError: doc.lastError ?? null,
+      lastDurationMs: doc.lastDurationMs ?? null,
+      lastResult: doc.lastResult ?? null,
+      nextRunAt: doc.nextRunAt ?? null,
+    };
+  });
+}
@@ -0,0 +1,111 @@
+// ESPN's seasontype values
+export const SEASON_TYPES = {
+  pre: 1,
+  regular: 2,
+  post: 3,
+};
+
+// Weeks ESPN numbers in each phase (postseason week 4 is the Pro Bowl break)
+export const SEASON_WEEKS = {
+  pre: 4,
+  regular: 18,
+  post: 5,
+};
+
+// First season with all 32 current franchises; ESPN's team endpoints are patchy before it.
+export const MIN_SEASON = 2002;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Labor Day (first Monday of September) for a year, UTC midnight.
+ */
+function laborDay(year) {
+  const septFirst = new Date(Date.UTC(year, 8, 1));
+  const offset = (8 - septFirst.getUTCDay()) % 7;
+  return new Date(Date.UTC(year, 8, 1 + offset));
+}
+
+/**
+ * Approximate NFL calendar for the season that kicks off in `year`:
+ * kickoff is the Thursday after Labor Day, preseason starts five weeks before it,
+ * the 18-week regular season ends the Monday after week 18, and the playoffs run
+ * until mid-February.
+ */
+export function getSeasonCalendar(year) {
+  const kickoff = new Date(laborDay(year).getTime() + 3 * DAY_MS);
+  return {
+    preseasonStart: new Date(kickoff.getTime() - 35 * DAY_MS),
+    kickoff,
+    regularSeasonEnd: new Date(kickoff.getTime() + (17 * 7 + 4) * DAY_MS),
+    postseasonEnd: new Date(Date.UTC(year + 1, 1, 15)),
+  };
+}
+
+/**
+ * Season and season type in progress on `date`.
+ * In the offseason (mid-February to preseason) this is the regular season that just finished,
+ * since that's the most recent full set of stats.
+ */
+export function getCurrentSeason(date = new Date()) {
+  const time = date.getTime();
+  const year = date.getUTCFullYear();
+
+  const thisYear = getSeasonCalendar(year);
+  if (time >= thisYear.regularSeasonEnd.getTime()) return { season: year, seasonType: "post" };
+  if (time >= thisYear.kickoff.getTime()) return { season: year, seasonType: "regular" };
+  if (time >= thisYear.preseasonStart.getTime()) return { season: year, seasonType: "pre" };
+
+  const lastYear = getSeasonCalendar(year - 1);
+  if (time < lastYear.postseasonEnd.getTime()) return { season: year - 1, seasonType: "post" };
+  return { season: year - 1, seasonType: "regular" };
+}
+
+/**
+ * What a request without `season` / `seasonType` gets: the current season's regular season,
+ * even during the playoffs or preseason, since that is the only phase every team has full
+ * stats and a full schedule for. Anything warming caches for those requests should use this too.
+ * Return: { season, seasonType }
+ */
+export function defaultSeasonQuery(date = new Date()) {
+  return { season: getCurrentSeason(date).season, seasonType: "regular" };
+}
+
+/**
+ * Validate `season` / `seasonType` query parameters. Missing ones fall back to defaultSeasonQuery.
+ * Return: { season, seasonType } or { error }
+ */
+export function parseSeasonQuery({ season, seasonType } = {}, date = new Date()) {
+  const current = defaultSeasonQuery(date);
+  const hasSeason = season !== undefined && season !== "";
+  const hasType = seasonType !== undefined && seasonType !== "";
+
+  let parsedSeason = current.season;
+  if (hasSeason) {
+    parsedSeason = Number(season);
+    if (!Number.isInteger(parsedSeason) || parsedSeason < MIN_SEASON || parsedSeason > current.season) {
+      return { error: `season must be a year between ${MIN_SEASON} and ${current.season}` };
+    }
+  }
+
+  let parsedType = current.seasonType;
+  if (hasType) {
+    parsedType = String(seasonType).trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SEASON_TYPES, parsedType)) {
+      return { error: `seasonType must be one of ${Object.keys(SEASON_TYPES).join(", ")}` };
+    }
+  }
+
+  return { season: parsedSeason, seasonType: parsedType };
+}
+
+/**
+ * ESPN's numeric seasontype for a season type name (defaults to regular season).
+ */
+export function toEspnSeasonType(seasonType) {
+  return SEASON_TYPES[seasonType] ?? SEASON_TYPES.regular;
+}
+
+export function getSeasonRange(date = new Date()) {
+  return { min: MIN_SEASON, max: getCurrentSeason(date).season };
+}
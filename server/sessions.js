@@ -0,0 +1,244 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ObjectId } from "mongodb";
+import { getDB } from "./db.js";
+import { logger } from "./logger.js";
+
+export const SESSIONS_COLLECTION = "sessions";
+
+// Access tokens are short so a revoked session stops working within minutes even
+// where nothing checks the database; refresh tokens keep the user signed in.
+export const ACCESS_TOKEN_TTL_MS = 1000 * 60 * 15;
+// A session ends after this long without being used.
+export const SESSION_IDLE_TTL_MS = 1000 * 60 * 60 * 24 * 30;
+// A page that fires several requests right as its access token expires sends the same
+// refresh token with each; the ones that lose the race may use it this long after rotation.
+const ROTATION_GRACE_MS = 1000 * 30;
+// Retired refresh token hashes kept per session for reuse detection.
+const MAX_RETIRED_HASHES = 50;
+// lastSeenAt is only written when it is at least this stale, not on every request.
+const LAST_SEEN_RESOLUTION_MS = 1000 * 60;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function toRefreshToken(sessionId, secret) {
+  return `${sessionId}.${secret}`;
+}
+
+function signAccessToken(session) {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) throw new Error("Err creating auth token");
+  return jwt.sign(
+    { userId: String(session.userId), username: session.username, sid: String(session._id) },
+    secret,
+    { expiresIn: Math.floor(ACCESS_TOKEN_TTL_MS / 1000) }
+  );
+}
+
+/**
+ * "Chrome on Windows" style label for the sessions list. Unknown agents fall back to "Unknown device".
+ */
+export function describeDevice(userAgent = "") {
+  const ua = String(userAgent);
+  const browser = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"],
+  ].find(([pattern]) => pattern.test(ua))?.[1];
+  const os = [
+    [/iPhone|iPad/, "iOS"],
+    [/Android/, "Android"],
+    [/Windows/, "Windows"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ].find(([pattern]) => pattern.test(ua))?.[1];
+  if (!browser && !os) return "Unknown device";
+  return [browser ?? "Browser", os].filter(Boolean).join(" on ");
+}
+
+export async function ensureSessionIndexes() {
+  const collection = getDB().collection(SESSIONS_COLLECTION);
+  await Promise.all([
+    collection.createIndex({ userId: 1, lastSeenAt: -1 }),
+    collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+  ]);
+}
+
+/**
+ * Start a session for a user who just proved who they are.
+ * Return: { accessToken, refreshToken }
+ */
+export async function createSession(user, { userAgent = "", ip = null } = {}) {
+  const now = new Date();
+  const secret = newSecret();
+  const session = {
+    _id: new ObjectId(),
+    userId: user._id,
+    username: user.username,
+    refreshHash: hashSecret(secret),
+    previousHash: null,
+    rotatedAt: null,
+    retiredHashes: [],
+    userAgent: String(userAgent).slice(0, 300),
+    ip,
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + SESSION_IDLE_TTL_MS),
+    revokedAt: null,
+  };
+  await getDB().collection(SESSIONS_COLLECTION).insertOne(session);
+  return { accessToken: signAccessToken(session), refreshToken: toRefreshToken(session._id, secret) };
+}
+
+/**
+ * The session behind an access token, if it is still active. Also bumps lastSeenAt
+ * (and the idle expiry) when it is stale.
+ * Return: the session document or null when it was revoked, expired or never existed.
+ */
+export async function getActiveSession(sessionId, { ip = null } = {}) {
+  if (!ObjectId.isValid(sessionId)) return null;
+  const collection = getDB().collection(SESSIONS_COLLECTION);
+  const now = new Date();
+  const session = await collection.findOne({ _id: new ObjectId(sessionId), revokedAt: null, expiresAt: { $gt: now } });
+  if (!session) return null;
+
+  if (now.getTime() - session.lastSeenAt.getTime() >= LAST_SEEN_RESOLUTION_MS) {
+    await collection.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: now, ip: ip ?? session.ip, expiresAt: new Date(now.getTime() + SESSION_IDLE_TTL_MS) } }
+    );
+  }
+  return session;
+}
+
+/**
+ * What a refresh token that no longer matches the session's current one means:
+ * "grace" when it was rotated away within ROTATION_GRACE_MS, "reuse" when it was
+ * retired before that, or null when the session never issued it or has ended.
+ */
+export function classifyStaleRefresh(session, secret, now = new Date()) {
+  if (!session || session.revokedAt || session.expiresAt <= now) return null;
+  const hash = hashSecret(secret);
+  if (session.previousHash === hash && now.getTime() - session.rotatedAt.getTime() <= ROTATION_GRACE_MS) return "grace";
+  if (session.retiredHashes.includes(hash)) return "reuse";
+  return null;
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated away is treated as theft:
+ * the whole session is revoked, so both the thief and the user have to log in again.
+ * The token rotated away in the last few seconds is still accepted (without another
+ * rotation) so parallel requests from one page don't trip that check.
+ * Return: { session, accessToken, refreshToken } (refreshToken null inside the grace window) or null
+ */
+export async function refreshSession(refreshToken, { ip = null } = {}) {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret, extra] = refreshToken.split(".");
+  if (!ObjectId.isValid(sessionId) || !secret || extra !== undefined) return null;
+
+  const collection = getDB().collection(SESSIONS_COLLECTION);
+  const now = new Date();
+  const hash = hashSecret(secret);
+  const nextSecret = newSecret();
+
+  const rotated = await collection.findOneAndUpdate(
+    { _id: new ObjectId(sessionId), refreshHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshHash: hashSecret(nextSecret),
+        previousHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip,
+        expiresAt: new Date(now.getTime() + SESSION_IDLE_TTL_MS),
+      },
+      $push: { retiredHashes: { $each: [hash], $slice: -MAX_RETIRED_HASHES } },
+    },
+    { returnDocument: "after" }
+  );
+  if (rotated) {
+    return { session: rotated, accessToken: signAccessToken(rotated), refreshToken: toRefreshToken(rotated._id, nextSecret) };
+  }
+
+  const session = await collection.findOne({ _id: new ObjectId(sessionId) });
+  const outcome = classifyStaleRefresh(session, secret, now);
+  if (outcome === "grace") {
+    return { session, accessToken: signAccessToken(session), refreshToken: null };
+  }
+  if (outcome === "reuse") {
+    logger.warn("Refresh token reuse; revoking the session", { sessionId, userId: String(session.userId) });
+    await collection.updateOne({ _id: session._id }, { $set: { revokedAt: now, revokedReason: "reuse" } });
+  }
+  return null;
+}
+
+/**
+ * A fresh access token for an existing session, e.g. after the username changed.
+ */
+export function reissueAccessToken(session) {
+  return signAccessToken(session);
+}
+
+/**
+ * Active sessions for the sessions list, most recently used first. `currentId` is flagged.
+ * Return: [{ id, device, ip, createdAt, lastSeenAt, current }]
+ */
+export async function listSessions(userId, currentId = null) {
+  const sessions = await getDB()
+    .collection(SESSIONS_COLLECTION)
+    .find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .toArray();
+  return sessions.map((session) => ({
+    id: String(session._id),
+    device: describeDevice(session.userAgent),
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: String(session._id) === String(currentId),
+  }));
+}
+
+/**
+ * Revoke one of the user's sessions.
+ * Return: true when an active session was revoked.
+ */
+export async function revokeSession(userId, sessionId, reason = "signout") {
+  if (!ObjectId.isValid(sessionId)) return false;
+  const result = await getDB().collection(SESSIONS_COLLECTION).updateOne(
+    { _id: new ObjectId(sessionId), userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every active session of the user ("sign out everywhere", password reset).
+ * `except` keeps one session signed in, e.g. the browser that just changed the password.
+ * Return: the number of sessions revoked.
+ */
+export async function revokeAllSessions(userId, reason = "signout-all", { except = null } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except && ObjectId.isValid(except)) filter._id = { $ne: new ObjectId(except) };
+  const result = await getDB().collection(SESSIONS_COLLECTION).updateMany(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Keep sessions in step with a username change, since requests read the username from the session.
+ */
+export async function renameSessions(userId, username) {
+  await getDB().collection(SESSIONS_COLLECTION).updateMany({ userId }, { $set: { username } });
+}
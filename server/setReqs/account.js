@@ -0,0 +1,209 @@
+import bcrypt from 'bcrypt';
+import { getDB } from '../db.js';
+import { AUTH_TOKENS_COLLECTION } from '../authTokens.js';
+import { SESSIONS_COLLECTION, listSessions, revokeAllSessions } from '../sessions.js';
+import { INBOX_COLLECTION, toInboxItem } from '../notify/inbox.js';
+import { NOTIFICATION_LOG_COLLECTION } from '../notify/notify.js';
+import { SALT_ROUNDS, normalizeEmail, normalizeUsername, validateEmail, validatePassword, validateUsername } from './createUser.js';
+import { logger } from '../logger.js';
+
+const USERS_COLLECTION = 'users';
+
+// normalizeStoredField Helper
+// @param1: users collection
+// @param2: field, 'username' or 'email'
+// @param3: normalize, how the field is stored from now on
+// Brief: rewrites values stored before the field was normalized. Any that would collide with
+// another account are left alone and logged.
+async function normalizeStoredField(users, field, normalize) {
+    const unnormalized = await users.find(
+        { [field]: { $type: 'string' }, $expr: { $ne: [`$${field}`, { $toLower: { $trim: { input: `$${field}` } } }] } },
+        { projection: { [field]: 1 } }
+    ).toArray();
+
+    for (const user of unnormalized) {
+        const value = normalize(user[field]);
+        const taken = await users.findOne({ [field]: value, _id: { $ne: user._id } }, { projection: { _id: 1 } });
+        if (taken) {
+            logger.warn('Value collides with another account once normalized; left as is', { field, value: user[field], userId: String(user._id) });
+            continue;
+        }
+        await users.updateOne({ _id: user._id }, { $set: { [field]: value } });
+    }
+}
+
+// ensureUserIndexes
+// Brief: unique usernames and emails. Values stored before they were trimmed and lowercased are
+// normalized first; if any would collide with another account the index is skipped (with a
+// warning) until they are sorted out by hand.
+export async function ensureUserIndexes() {
+    const users = getDB().collection(USERS_COLLECTION);
+    await normalizeStoredField(users, 'username', normalizeUsername);
+    await normalizeStoredField(users, 'email', normalizeEmail);
+
+    const indexes = [
+        [{ username: 1 }, { unique: true }],
+        [{ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } }],
+    ];
+    for (const [keys, options] of indexes) {
+        try {
+            await users.createIndex(keys, options);
+        } catch (err) {
+            logger.warn('Could not create unique users index', { field: Object.keys(keys)[0], err });
+        }
+    }
+}
+
+// prepareUsername
+// @param1: userId, the account being renamed
+// @param2: username, the requested name
+// Brief: normalizes the name and checks nobody else has it
+// Return: { username } or { status, message }
+export async function prepareUsername(userId, username) {
+    const normalized = normalizeUsername(username);
+    const err = validateUsername(normalized);
+    if (err) return { status: 400, message: err };
+
+    const taken = await getDB().collection(USERS_COLLECTION).findOne(
+        { username: normalized, _id: { $ne: userId } },
+        { projection: { _id: 1 } }
+    );
+    if (taken) return { status: 409, message: 'That username is taken.' };
+    return { username: normalized };
+}
+
+// updateAccount
+// @param1: userId
+// @param2: changes, any of { username, email, newPassword } plus currentPassword,
+// which email and password changes require
+// @param3: sessionId of the browser asking; it stays signed in after a password change
+// Brief: validates every change before writing any of them. A new email is unverified until
+// its link is followed, and reset links sent to the old address stop working. A new password
+// signs out every other session.
+// Return: { passed, account, emailChanged } or { passed: false, status, message }
+export async function updateAccount(userId, { username, email, currentPassword, newPassword } = {}, { sessionId = null } = {}) {
+    const db = getDB();
+    const users = db.collection(USERS_COLLECTION);
+    const user = await users.findOne({ _id: userId }, { projection: { username: 1, email: 1, emailVerified: 1, password: 1 } });
+    if (!user) return { passed: false, status: 401, message: 'not logged in' };
+
+    const set = {};
+    const unset = {};
+
+    if (username !== undefined && normalizeUsername(username) !== user.username) {
+        const result = await prepareUsername(userId, username);
+        if (result.message) return { passed: false, ...result };
+        set.username = result.username;
+    }
+
+    const nextEmail = normalizeEmail(email);
+    const emailChanged = nextEmail !== undefined && nextEmail !== user.email;
+    if (emailChanged) {
+        const err = validateEmail(nextEmail);
+        if (err) return { passed: false, status: 400, message: err };
+        const taken = await users.findOne({ email: nextEmail, _id: { $ne: userId } }, { projection: { _id: 1 } });
+        if (taken) return { passed: false, status: 409, message: 'That email is used by another account.' };
+        set.email = nextEmail;
+        set.emailVerified = false;
+        unset.emailVerifiedAt = '';
+    }
+
+    if (newPassword !== undefined) {
+        const err = validatePassword(newPassword);
+        if (err) return { passed: false, status: 400, message: err };
+    }
+
+    if (emailChanged || newPassword !== undefined) {
+        const matches = typeof currentPassword === 'string' && await bcrypt.compare(currentPassword, user.password);
+        if (!matches) return { passed: false, status: 403, message: 'Current password is incorrect.' };
+    }
+
+    if (newPassword !== undefined) {
+        set.password = await bcrypt.hash(newPassword, SALT_ROUNDS);
+        set.passwordChangedAt = new Date();
+        unset.loginFailures = '';
+        unset.lockedUntil = '';
+    }
+
+    if (Object.keys(set).length === 0) {
+        return { passed: false, status: 400, message: 'No valid fields to update' };
+    }
+
+    try {
+        const update = Object.keys(unset).length > 0 ? { $set: set, $unset: unset } : { $set: set };
+        await users.updateOne({ _id: userId }, update);
+    } catch (e) {
+        // Someone took the name or address between the check and the write
+        if (e?.code === 11000) return { passed: false, status: 409, message: 'Username or email already exists.' };
+        throw e;
+    }
+
+    if (emailChanged) {
+        await db.collection(AUTH_TOKENS_COLLECTION).deleteMany({ userId, purpose: 'resetPassword', usedAt: null });
+    }
+    if (set.password) {
+        await revokeAllSessions(userId, 'password-change', { except: sessionId });
+    }
+
+    return {
+        passed: true,
+        emailChanged,
+        account: {
+            username: set.username ?? user.username,
+            email: set.email ?? user.email ?? null,
+            emailVerified: emailChanged ? false : user.emailVerified === true,
+        },
+    };
+}
+
+// exportAccount
+// @param1: userId
+// Brief: everything stored about the user as plain JSON. Secrets are left out: the password
+// hash, token hashes and push subscription keys.
+export async function exportAccount(userId) {
+    const db = getDB();
+    const user = await db.collection(USERS_COLLECTION).findOne({ _id: userId }, { projection: { password: 0 } });
+    if (!user) return null;
+
+    const [sessions, inbox, notificationLog, authTokens] = await Promise.all([
+        listSessions(userId),
+        db.collection(INBOX_COLLECTION).find({ userId }).sort({ createdAt: -1 }).toArray(),
+        db.collection(NOTIFICATION_LOG_COLLECTION).find({ userId }, { projection: { _id: 0, userId: 0 } }).sort({ sentAt: -1 }).toArray(),
+        db.collection(AUTH_TOKENS_COLLECTION).find({ userId }, { projection: { _id: 0, purpose: 1, createdAt: 1, expiresAt: 1, usedAt: 1 } }).toArray(),
+    ]);
+
+    const { _id, pushSubscriptions = [], ...profile } = user;
+    return {
+        exportedAt: new Date(),
+        account: { id: String(_id), ...profile },
+        pushSubscriptions: pushSubscriptions.map(({ endpoint, createdAt }) => ({ endpoint, createdAt })),
+        sessions: sessions.map(({ current, ...session }) => session),
+        notifications: inbox.map(toInboxItem),
+        notificationLog,
+        authTokens,
+    };
+}
+
+// deleteAccount
+// @param1: userId
+// @param2: password, the current password, as confirmation
+// Brief: removes the user and everything derived from them: sessions, inbox, notification
+// history and outstanding email links. The user goes first so nothing new attaches midway.
+// Return: { passed } or { passed: false, status, message }
+export async function deleteAccount(userId, password) {
+    const db = getDB();
+    const user = await db.collection(USERS_COLLECTION).findOne({ _id: userId }, { projection: { password: 1 } });
+    if (!user) return { passed: false, status: 401, message: 'not logged in' };
+
+    const matches = typeof password === 'string' && await bcrypt.compare(password, user.password);
+    if (!matches) return { passed: false, status: 403, message: 'Password is incorrect.' };
+
+    await db.collection(USERS_COLLECTION).deleteOne({ _id: userId });
+    await Promise.all([
+        db.collection(SESSIONS_COLLECTION).deleteMany({ userId }),
+        db.collection(INBOX_COLLECTION).deleteMany({ userId }),
+        db.collection(NOTIFICATION_LOG_COLLECTION).deleteMany({ userId }),
+        db.collection(AUTH_TOKENS_COLLECTION).deleteMany({ userId }),
+    ]);
+    return { passed: true };
+}
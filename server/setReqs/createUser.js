@@ -1,21 +1,38 @@
 import bcrypt from 'bcrypt';
 import { getDB } from '../db.js';
 
-const SALT_ROUNDS = 15;
+export const SALT_ROUNDS = 15;
 const USERS_COLLECTION = 'users';
 
-// validate Helper
-// @param1: username a string that represents the user's username
-// @param2: password a string that represents the user's password
-// @param3: email a string that represents the user's email
+// normalizeUsername
+// Brief: usernames are stored trimmed and lowercase, so "Bob" and "bob " are the same account
+export function normalizeUsername(username) {
+    return typeof username === 'string' ? username.trim().toLowerCase() : username;
+}
+
+// normalizeEmail
+// Brief: emails are stored trimmed and lowercase too, so signup, login links and the uniqueness check all agree
+export function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : email;
+}
+
+// Field validators, shared with account changes in account.js
 // Return: an err msg (if any), null if validated
-function validate({username, password, email}) {
+export function validateUsername(username) {
     if (!username || typeof username !== 'string' || username.length < 3) {
         return 'Username must be at least 3 characters long.';
     }
+    return null;
+}
+
+export function validatePassword(password) {
     if (!password || typeof password !== 'string' || password.length < 6) {
         return 'Password must be at least 6 characters long.';
     }
+    return null;
+}
+
+export function validateEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!email || typeof email !== 'string' || !emailRegex.test(email)) {
         return 'Invalid email address.';
@@ -23,6 +40,15 @@ function validate({username, password, email}) {
     return null;
 }
 
+// validate Helper
+// @param1: username a string that represents the user's username
+// @param2: password a string that represents the user's password
+// @param3: email a string that represents the user's email
+// Return: an err msg (if any), null if validated
+function validate({username, password, email}) {
+    return validateUsername(username) ?? validatePassword(password) ?? validateEmail(email);
+}
+
 // createUsr
 // @param1: username
 // @param2: password
@@ -31,15 +57,15 @@ function validate({username, password, email}) {
 // Brief: inserts new account into DB if its now duplicate AND if its valid (insertOne handles most of this)
 // Return: insert Id if successful
 export async function createUser({username, password, email, preferences = {}}) {
-    let err = validate({username, password, email, preferences});
+    let err = validate({username: normalizeUsername(username), password, email: normalizeEmail(email), preferences});
     if (err) {
         throw new Error(err);
     }
     const hash = await bcrypt.hash(password, SALT_ROUNDS);
     const user = {
-        username: username.toLowerCase(),
+        username: normalizeUsername(username),
         password: hash,
-        email: email.toLowerCase(),
+        email: normalizeEmail(email),
         preferences,
         createdAt: new Date(),
     };
@@ -0,0 +1,61 @@
+import bcrypt from 'bcrypt';
+import { ObjectId } from 'mongodb';
+import { getDB } from '../db.js';
+import { AUTH_TOKENS_COLLECTION, consumeAuthToken, createAuthToken } from '../authTokens.js';
+import { sendMail, siteLink } from '../mailer.js';
+import { revokeAllSessions } from '../sessions.js';
+import { SALT_ROUNDS, normalizeEmail, validatePassword } from './createUser.js';
+
+const USERS_COLLECTION = 'users';
+
+// requestPasswordReset
+// @param1: email, the address the user signed up with
+// Brief: emails a single-use reset link (valid for 1 hour) if an account uses this address.
+// Callers answer the same way either way so the form can't be used to discover accounts.
+export async function requestPasswordReset(email) {
+    if (typeof email !== 'string' || !email.trim()) return;
+
+    const user = await getDB().collection(USERS_COLLECTION).findOne(
+        { email: normalizeEmail(email) },
+        { projection: { email: 1, username: 1 } }
+    );
+    if (!user) return;
+
+    const token = await createAuthToken(user._id, 'resetPassword');
+    const link = siteLink(`/reset-password?token=${encodeURIComponent(token)}`);
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your PlaybookNews password',
+        text: `Someone asked to reset the password for ${user.username}. Choose a new one here:\n\n${link}\n\nThe link expires in 1 hour. If this wasn't you, ignore this email and your password stays the same.`,
+    });
+}
+
+// resetPassword
+// @param1: token from the emailed link
+// @param2: password, the new password
+// Brief: re-hashes the password, lifts any login lockout and revokes every session, so any existing login has to sign in again.
+// Following the emailed link also proves the address, so the email counts as verified.
+// Return: { passed } or { passed: false, message }
+export async function resetPassword({ token, password }) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return { passed: false, message: passwordError };
+    }
+
+    const userId = await consumeAuthToken(token, 'resetPassword');
+    if (!userId) {
+        return { passed: false, message: 'This reset link is invalid or has expired.' };
+    }
+
+    const hash = await bcrypt.hash(password, SALT_ROUNDS);
+    const db = getDB();
+    await db.collection(USERS_COLLECTION).updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { password: hash, passwordChangedAt: new Date(), emailVerified: true }, $unset: { loginFailures: '', lockedUntil: '', mustResetPassword: '' } }
+    );
+    // Any other reset links still in someone's inbox stop working too
+    await db.collection(AUTH_TOKENS_COLLECTION).deleteMany({ userId, purpose: 'resetPassword', usedAt: null });
+    await revokeAllSessions(userId, 'password-reset');
+
+    return { passed: true };
+}
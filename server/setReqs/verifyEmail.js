@@ -0,0 +1,34 @@
+import { ObjectId } from 'mongodb';
+import { getDB } from '../db.js';
+import { consumeAuthToken, createAuthToken } from '../authTokens.js';
+import { sendMail, siteLink } from '../mailer.js';
+
+const USERS_COLLECTION = 'users';
+
+// sendVerificationEmail
+// @param1: user, needs _id and email
+// Brief: emails a single-use link that confirms the address (valid for 24 hours)
+export async function sendVerificationEmail(user) {
+    const token = await createAuthToken(user._id, 'verifyEmail');
+    const link = siteLink(`/verify-email?token=${encodeURIComponent(token)}`);
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your PlaybookNews email',
+        text: `Confirm this address for your PlaybookNews account:\n\n${link}\n\nThe link expires in 24 hours. If you didn't sign up, ignore this email.`,
+    });
+}
+
+// verifyEmail
+// @param1: token from the emailed link
+// Brief: marks the account's email as verified
+// Return: true if the link was valid, false if it was forged, expired or already used
+export async function verifyEmail(token) {
+    const userId = await consumeAuthToken(token, 'verifyEmail');
+    if (!userId) return false;
+
+    const result = await getDB().collection(USERS_COLLECTION).updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+}
@@ -0,0 +1,248 @@
+import { getCachedValue } from "./cache.js";
+import { fetchScoreboard } from "./fetch.js";
+import { getAllTeams } from "./teamData.js";
+import { getCurrentSeason, SEASON_TYPES, SEASON_WEEKS } from "./season.js";
+
+const CACHE_TTL = {
+  scoreboard: 1000 * 60 * 10,
+  standings: 1000 * 60 * 10,
+};
+
+// Standings missing some weeks are kept only briefly, so they fill in once ESPN recovers
+const DEGRADED_STANDINGS_TTL = 1000 * 60;
+
+const CONFERENCES = ["AFC", "NFC"];
+const DIVISIONS = ["East", "North", "South", "West"];
+
+// Division tiebreakers in NFL order. Each returns a number where higher is better.
+const DIVISION_TIEBREAKERS = [
+  { name: "head-to-head", value: (team, tied) => pct(recordAgainst(team, new Set(tied.map((t) => t.id)))) },
+  { name: "division record", value: (team) => pct(team.divisionGames) },
+  { name: "common games", value: (team, tied) => pct(recordAgainst(team, commonOpponents(tied))) },
+  { name: "conference record", value: (team) => pct(team.conferenceGames) },
+  { name: "strength of victory", value: (team, tied, table) => combinedPct(team.beaten, table) },
+  { name: "strength of schedule", value: (team, tied, table) => combinedPct(team.results.map((r) => r.opponentId), table) },
+  { name: "net points", value: (team) => team.pointsFor - team.pointsAgainst },
+];
+
+function emptyRecord() {
+  return { wins: 0, losses: 0, ties: 0 };
+}
+
+function pct({ wins, losses, ties }) {
+  const games = wins + losses + ties;
+  return games === 0 ? 0 : (wins + ties / 2) / games;
+}
+
+function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+function addResult(record, result) {
+  if (result === "W") record.wins += 1;
+  else if (result === "L") record.losses += 1;
+  else record.ties += 1;
+}
+
+function recordAgainst(team, opponentIds) {
+  const record = emptyRecord();
+  for (const game of team.results) {
+    if (opponentIds.has(game.opponentId)) addResult(record, game.result);
+  }
+  return record;
+}
+
+// Opponents every tied team has played, not counting the tied teams themselves.
+function commonOpponents(tied) {
+  const tiedIds = new Set(tied.map((team) => team.id));
+  const [first, ...rest] = tied.map((team) => new Set(team.results.map((r) => r.opponentId)));
+  return new Set([...first].filter((id) => !tiedIds.has(id) && rest.every((set) => set.has(id))));
+}
+
+// Combined win percentage of a list of opponents (one entry per game, so repeats count twice).
+function combinedPct(opponentIds, table) {
+  const record = emptyRecord();
+  for (const id of opponentIds) {
+    const opponent = table.get(id);
+    if (!opponent) continue;
+    record.wins += opponent.wins;
+    record.losses += opponent.losses;
+    record.ties += opponent.ties;
+  }
+  return pct(record);
+}
+
+function currentStreak(results) {
+  const ordered = [...results].sort((a, b) => String(a.dateTime).localeCompare(String(b.dateTime)));
+  const last = ordered.at(-1);
+  if (!last) return null;
+  let length = 0;
+  for (let i = ordered.length - 1; i >= 0 && ordered[i].result === last.result; i -= 1) length += 1;
+  return `${last.result}${length}`;
+}
+
+/**
+ * Pick the team that wins a tie. Steps are tried in order; when a step separates
+ * some teams but still leaves more than one tied, the survivors start again from
+ * the first step, as the NFL procedure does for three or more clubs.
+ * Return: { team, tiebreaker }
+ */
+function pickTop(tied, table) {
+  if (tied.length === 1) return { team: tied[0], tiebreaker: null };
+
+  for (const step of DIVISION_TIEBREAKERS) {
+    const values = tied.map((team) => step.value(team, tied, table));
+    const best = Math.max(...values);
+    const leaders = tied.filter((team, i) => values[i] === best);
+    if (leaders.length === 1) return { team: leaders[0], tiebreaker: step.name };
+    if (leaders.length < tied.length) {
+      const { team, tiebreaker } = pickTop(leaders, table);
+      return { team, tiebreaker: tiebreaker ?? step.name };
+    }
+  }
+
+  // The league would toss a coin here; the team key keeps the order stable.
+  const [team] = [...tied].sort((a, b) => a.key.localeCompare(b.key));
+  return { team, tiebreaker: "coin toss" };
+}
+
+// Order one division: best win percentage first, ties broken with pickTop.
+function rankDivision(teams, table) {
+  const remaining = [...teams];
+  const ranked = [];
+  while (remaining.length > 0) {
+    const best = Math.max(...remaining.map((team) => pct(team)));
+    const tied = remaining.filter((team) => pct(team) === best);
+    const { team, tiebreaker } = pickTop(tied, table);
+    ranked.push({ team, tiebreaker: tied.length > 1 ? tiebreaker : null });
+    remaining.splice(remaining.indexOf(team), 1);
+  }
+  return ranked;
+}
+
+// One week of scoreboard games, or null when ESPN failed. Failures are not cached.
+function loadWeek(season, seasonType, week) {
+  return getCachedValue(`espn:scoreboard:${season}:${seasonType}:${week}`, CACHE_TTL.scoreboard, async () => {
+    return await fetchScoreboard(season, seasonType, week);
+  });
+}
+
+/**
+ * Build W-L-T tables from the completed games in a season.
+ * Exported separately from getStandings so the math can be run against any list of games.
+ */
+export function computeStandings(teams, games) {
+  const table = new Map();
+  for (const team of teams) {
+    table.set(Number(team.id), {
+      ...team,
+      id: Number(team.id),
+      abbreviation: null,
+      ...emptyRecord(),
+      divisionGames: emptyRecord(),
+      conferenceGames: emptyRecord(),
+      pointsFor: 0,
+      pointsAgainst: 0,
+      results: [],
+      beaten: [],
+    });
+  }
+
+  for (const game of games) {
+    if (!game?.completed) continue;
+    const home = table.get(game.home?.id);
+    const away = table.get(game.away?.id);
+    if (!home || !away || game.home.score === null || game.away.score === null) continue;
+
+    const sides = [
+      [home, game.home, away, game.away],
+      [away, game.away, home, game.home],
+    ];
+    for (const [team, side, opponent, opponentSide] of sides) {
+      const result = side.score > opponentSide.score ? "W" : side.score < opponentSide.score ? "L" : "T";
+      team.abbreviation = team.abbreviation ?? side.abbreviation;
+      addResult(team, result);
+      if (team.conference === opponent.conference) addResult(team.conferenceGames, result);
+      if (team.conference === opponent.conference && team.division === opponent.division) addResult(team.divisionGames, result);
+      team.pointsFor += side.score;
+      team.pointsAgainst += opponentSide.score;
+      team.results.push({ opponentId: opponent.id, result, dateTime: game.dateTime });
+      if (result === "W") team.beaten.push(opponent.id);
+    }
+  }
+
+  return table;
+}
+
+function toRow(team, place, tiebreaker) {
+  return {
+    key: team.key,
+    id: team.id,
+    name: team.name,
+    abbreviation: team.abbreviation,
+    place,
+    wins: team.wins,
+    losses: team.losses,
+    ties: team.ties,
+    pct: Math.round(pct(team) * 1000) / 1000,
+    record: formatRecord(team),
+    divisionRecord: formatRecord(team.divisionGames),
+    conferenceRecord: formatRecord(team.conferenceGames),
+    pointsFor: team.pointsFor,
+    pointsAgainst: team.pointsAgainst,
+    pointDifferential: team.pointsFor - team.pointsAgainst,
+    streak: currentStreak(team.results),
+    tiebreaker,
+  };
+}
+
+/**
+ * The eight division tables for a list of completed games, each ordered with the
+ * division tiebreakers. Like computeStandings, it needs no ESPN data.
+ */
+export function buildDivisionTables(teams, games) {
+  const table = computeStandings(teams, games);
+
+  const divisions = [];
+  for (const conference of CONFERENCES) {
+    for (const division of DIVISIONS) {
+      const members = teams.filter((team) => team.conference === conference && team.division === division);
+      const rows = rankDivision(
+        members.map((team) => table.get(Number(team.id))),
+        table
+      ).map(({ team, tiebreaker }, i) => toRow(team, i + 1, tiebreaker));
+      divisions.push({ conference, division, name: `${conference} ${division}`, teams: rows });
+    }
+  }
+  return divisions;
+}
+
+/**
+ * League standings for a season, grouped into the eight division tables.
+ * Scoreboard weeks are cached one by one so a refresh only refetches what changed upstream.
+ * When some weeks could not be loaded the tables are built from the rest, with
+ * `degraded: true` and those weeks listed in `missingWeeks`.
+ */
+export async function getStandings({ season = getCurrentSeason().season, seasonType = "regular" } = {}) {
+  const safeType = Object.prototype.hasOwnProperty.call(SEASON_TYPES, seasonType) ? seasonType : "regular";
+
+  const ttl = (standings) => (standings.degraded ? DEGRADED_STANDINGS_TTL : CACHE_TTL.standings);
+  return await getCachedValue(`standings:${season}:${safeType}`, ttl, async () => {
+    const weeks = Array.from({ length: SEASON_WEEKS[safeType] }, (_, i) => i + 1);
+    const [teams, ...weekGames] = await Promise.all([getAllTeams(), ...weeks.map((week) => loadWeek(season, safeType, week))]);
+    const games = weekGames.flatMap((list) => (Array.isArray(list) ? list : []));
+    const missingWeeks = weeks.filter((week, i) => !Array.isArray(weekGames[i]));
+
+    const divisions = buildDivisionTables(teams, games);
+
+    return {
+      season,
+      seasonType: safeType,
+      gamesCompleted: games.filter((game) => game?.completed).length,
+      updatedAt: new Date().toISOString(),
+      degraded: missingWeeks.length > 0,
+      missingWeeks,
+      divisions,
+    };
+  });
+}
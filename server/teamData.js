@@ -1,18 +1,55 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import { getDB } from "./db.js";
+import { logger } from "./logger.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const TEAM_OVERRIDES_COLLECTION = "teamOverrides";
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const MAX_COLORS = 5;
+const MAX_TEXT_LENGTH = 100;
+// How often the stored overrides are re-read, so an edit made through another process shows up
+const OVERRIDES_REFRESH_MS = 1000 * 30;
+
+let baseTeams = null;
+// Admin edits to teams.json metadata, by team key: { colors?, stadium?, city? }
+let overrides = {};
 let teamsCache = null;
+// Bumped whenever the overrides change, so data derived from teams (e.g. news matchers) can tell it is out of date
+let teamDataVersion = 0;
+// null until loadTeamOverrides first runs; nothing is re-read before then
+let overridesLoadedAt = null;
+let overridesRefresh = null;
+
+// Re-read the overrides in the background once they are older than OVERRIDES_REFRESH_MS.
+// Callers carry on with the current ones; a failed read is logged and retried after the next interval.
+function refreshOverridesIfDue() {
+  if (overridesLoadedAt === null || overridesRefresh || Date.now() - overridesLoadedAt < OVERRIDES_REFRESH_MS) return;
+  overridesRefresh = loadTeamOverrides()
+    .catch((err) => {
+      overridesLoadedAt = Date.now();
+      logger.warn("Failed to reload team overrides", { err });
+    })
+    .finally(() => {
+      overridesRefresh = null;
+    });
+}
 
 async function getTeamsMap() {
+  refreshOverridesIfDue();
   if (teamsCache) return teamsCache;
 
-  const filePath = path.join(__dirname, "./teams.json");
-  const file = await fs.readFile(filePath, "utf8");
-  teamsCache = JSON.parse(file);
+  if (!baseTeams) {
+    const filePath = path.join(__dirname, "./teams.json");
+    const file = await fs.readFile(filePath, "utf8");
+    baseTeams = JSON.parse(file);
+  }
+  teamsCache = Object.fromEntries(
+    Object.entries(baseTeams).map(([key, team]) => [key, { ...team, ...overrides[key] }])
+  );
   return teamsCache;
 }
 
@@ -23,3 +60,92 @@ export async function getTeamByPreferenceKey(teamKey) {
   const teams = await getTeamsMap();
   return teams[teamKey.trim()] ?? null;
 }
+
+// Every team as a flat list, with its preference key attached as `key`.
+export async function getAllTeams() {
+  const teams = await getTeamsMap();
+  return Object.entries(teams).map(([key, team]) => ({ key, ...team }));
+}
+
+/**
+ * Read the stored overrides into memory. Called at startup and after each edit, and
+ * re-run every 30 seconds after that so other processes pick up an edit too.
+ */
+export async function loadTeamOverrides() {
+  const docs = await getDB().collection(TEAM_OVERRIDES_COLLECTION).find({}).toArray();
+  const loaded = Object.fromEntries(docs.map(({ _id, updatedAt, updatedBy, ...fields }) => [_id, fields]));
+  overridesLoadedAt = Date.now();
+  if (JSON.stringify(loaded) === JSON.stringify(overrides)) return;
+  overrides = loaded;
+  teamsCache = null;
+  teamDataVersion += 1;
+}
+
+/**
+ * Changes whenever team metadata does, for caches built from getAllTeams.
+ */
+export function getTeamDataVersion() {
+  return teamDataVersion;
+}
+
+/**
+ * The overridden fields for every team that has any.
+ */
+export function getTeamOverrides() {
+  return structuredClone(overrides);
+}
+
+/**
+ * Check an override edit. Only colors (1-5 hex values, primary first), stadium and city can change.
+ * Return: { override } or { error }
+ */
+export function validateTeamOverride(fields) {
+  if (!fields || typeof fields !== "object") return { error: "Override must be an object" };
+  const override = {};
+
+  if (fields.colors !== undefined) {
+    const colors = fields.colors;
+    if (!Array.isArray(colors) || colors.length === 0 || colors.length > MAX_COLORS || !colors.every((color) => typeof color === "string" && HEX_COLOR.test(color))) {
+      return { error: `colors must be 1-${MAX_COLORS} hex colors like #97233f` };
+    }
+    override.colors = colors.map((color) => color.toLowerCase());
+  }
+  for (const field of ["stadium", "city"]) {
+    if (fields[field] === undefined) continue;
+    const value = typeof fields[field] === "string" ? fields[field].trim() : "";
+    if (!value || value.length > MAX_TEXT_LENGTH) {
+      return { error: `${field} must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    override[field] = value;
+  }
+
+  if (Object.keys(override).length === 0) return { error: "Nothing to override (colors, stadium or city)" };
+  return { override };
+}
+
+/**
+ * Store an override for one team, replacing any earlier one.
+ * Return: the team with the override applied, or null for an unknown key.
+ */
+export async function setTeamOverride(teamKey, override, updatedBy = null) {
+  await getTeamsMap();
+  if (!baseTeams[teamKey]) return null;
+
+  await getDB().collection(TEAM_OVERRIDES_COLLECTION).replaceOne(
+    { _id: teamKey },
+    { ...override, updatedAt: new Date(), updatedBy },
+    { upsert: true }
+  );
+  await loadTeamOverrides();
+  return await getTeamByPreferenceKey(teamKey);
+}
+
+/**
+ * Go back to the teams.json values for one team.
+ * Return: true when an override was removed.
+ */
+export async function clearTeamOverride(teamKey) {
+  const result = await getDB().collection(TEAM_OVERRIDES_COLLECTION).deleteOne({ _id: teamKey });
+  await loadTeamOverrides();
+  return result.deletedCount > 0;
+}
@@ -0,0 +1,231 @@
+import { logger } from "./logger.js";
+import { addMetricsCollector, createCounter, createGauge } from "./metrics.js";
+
+// JSON over HTTP for third-party APIs: a timeout on every attempt, retries with jittered
+// backoff for throttling and server errors, and a circuit breaker per host so an outage
+// costs one fast failure per request instead of a full timeout.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+// A Retry-After longer than this is not waited out; the caller gets the failure and the delay
+const MAX_RETRY_WAIT_MS = 10000;
+// Consecutive failures that open a host's circuit, and how long it stays open before a trial request
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_MS = 30000;
+
+// Failures that say the host is struggling: worth retrying, and counted against its circuit.
+// Anything else (404, unparseable body) is this one request being wrong and would fail again.
+const HOST_FAILURES = new Set(["timeout", "network", "rate_limited", "server_error"]);
+
+// host -> { state: closed | open | half-open, failures, openedUntil, lastFailure }
+const circuits = new Map();
+
+const retries = createCounter("upstream_retries_total", "Upstream attempts repeated after a timeout, throttling or server error, by host.");
+const shortCircuits = createCounter("upstream_short_circuits_total", "Upstream requests refused without calling the host because its circuit was open.");
+const circuitOpen = createGauge("upstream_circuit_open", "1 while a host's circuit is open or half-open, 0 when closed.");
+addMetricsCollector(() => {
+  for (const [host, circuit] of circuits) {
+    circuitOpen.set({ host }, circuit.state === "closed" ? 0 : 1);
+  }
+});
+
+function getCircuit(host) {
+  let circuit = circuits.get(host);
+  if (!circuit) {
+    circuit = { state: "closed", failures: 0, openedUntil: 0, lastFailure: null };
+    circuits.set(host, circuit);
+  }
+  return circuit;
+}
+
+/**
+ * Whether a request to the host may go out. Once the cooldown has passed, exactly one
+ * trial request is let through (half-open); its outcome closes or reopens the circuit.
+ */
+function allowRequest(circuit) {
+  if (circuit.state === "closed") return true;
+  if (circuit.state === "open" && Date.now() >= circuit.openedUntil) {
+    circuit.state = "half-open";
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(host, circuit) {
+  if (circuit.state !== "closed") {
+    logger.info("Upstream circuit closed", { host });
+  }
+  circuit.state = "closed";
+  circuit.failures = 0;
+}
+
+function recordFailure(host, circuit, error) {
+  circuit.failures += 1;
+  circuit.lastFailure = { kind: error.kind, status: error.status, message: error.message, at: new Date() };
+  if (circuit.state === "half-open" || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.state = "open";
+    circuit.openedUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    logger.warn("Upstream circuit opened", { host, failures: circuit.failures, cooldownMs: CIRCUIT_COOLDOWN_MS, lastError: error.message });
+  }
+}
+
+/**
+ * Retry-After is either whole seconds or an HTTP date. Returns milliseconds, or null.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * Exponential backoff with jitter: half of each step is fixed, half random, so retries
+ * from many requests that failed together spread out instead of arriving in step.
+ */
+function backoffMs(attempt) {
+  const step = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return step / 2 + Math.random() * (step / 2);
+}
+
+function httpErrorKind(status) {
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server_error";
+  if (status === 404) return "not_found";
+  return "http_error";
+}
+
+/**
+ * One attempt. Return: { ok: true, status, data } or { ok: false, error: { kind, status, message, retryAfterMs } }
+ */
+async function attemptOnce(url, { timeoutMs, headers }) {
+  let res;
+  try {
+    res = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (err) {
+    const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+    return {
+      ok: false,
+      error: {
+        kind: timedOut ? "timeout" : "network",
+        status: null,
+        message: timedOut ? `No response within ${timeoutMs} ms` : err?.cause?.message || err?.message || "Request failed",
+        retryAfterMs: null,
+      },
+    };
+  }
+
+  if (!res.ok) {
+    // Drain the body so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    return {
+      ok: false,
+      error: {
+        kind: httpErrorKind(res.status),
+        status: res.status,
+        message: `${res.status} ${res.statusText}`.trim(),
+        retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+      },
+    };
+  }
+
+  try {
+    return { ok: true, status: res.status, data: await res.json() };
+  } catch (err) {
+    const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+    return {
+      ok: false,
+      error: {
+        kind: timedOut ? "timeout" : "invalid_body",
+        status: res.status,
+        message: timedOut ? `Body not received within ${timeoutMs} ms` : `Response was not JSON: ${err.message}`,
+        retryAfterMs: null,
+      },
+    };
+  }
+}
+
+/**
+ * GET `url` and parse the JSON body.
+ * `onAttempt(result, { attempt, seconds })` runs after every attempt, e.g. for metrics.
+ * Return: { ok: true, status, data, attempts }
+ *      or { ok: false, error: { kind, status, message, retryAfterMs }, attempts }
+ * where kind is timeout, network, rate_limited, server_error, not_found, http_error,
+ * invalid_body or circuit_open. Never throws.
+ */
+export async function requestJson(url, { timeoutMs = DEFAULT_TIMEOUT_MS, retries: maxRetries = DEFAULT_RETRIES, headers, onAttempt } = {}) {
+  const host = new URL(url).host;
+  const circuit = getCircuit(host);
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (!allowRequest(circuit)) {
+      shortCircuits.inc({ host });
+      return {
+        ok: false,
+        attempts: attempt - 1,
+        error: {
+          kind: "circuit_open",
+          status: null,
+          message: `${host} is failing; requests are paused`,
+          retryAfterMs: Math.max(0, circuit.openedUntil - Date.now()),
+        },
+      };
+    }
+
+    const started = process.hrtime.bigint();
+    const result = await attemptOnce(url, { timeoutMs, headers });
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    onAttempt?.(result, { attempt, seconds });
+
+    if (result.ok) {
+      recordSuccess(host, circuit);
+      return { ...result, attempts: attempt };
+    }
+
+    const { error } = result;
+    if (HOST_FAILURES.has(error.kind)) {
+      recordFailure(host, circuit, error);
+    } else if (circuit.state === "half-open") {
+      // The host answered; the request itself was the problem
+      recordSuccess(host, circuit);
+    }
+
+    const waitMs = error.retryAfterMs ?? backoffMs(attempt);
+    if (!HOST_FAILURES.has(error.kind) || attempt > maxRetries || waitMs > MAX_RETRY_WAIT_MS) {
+      return { ok: false, error, attempts: attempt };
+    }
+
+    retries.inc({ host });
+    await new Promise((resolve) => setTimeout(resolve, waitMs));
+  }
+}
+
+/**
+ * Circuit state for every host called so far, for the admin console.
+ */
+export function getCircuitStates() {
+  return Array.from(circuits, ([host, circuit]) => ({
+    host,
+    state: circuit.state,
+    consecutiveFailures: circuit.failures,
+    openUntil: circuit.state === "closed" ? null : new Date(circuit.openedUntil),
+    lastFailure: circuit.lastFailure,
+  }));
+}
+
+/**
+ * An upstream failure as a throwable Error, for code paths (like cache loaders) that
+ * report failure by rejecting. The result's error fields are copied onto it.
+ */
+export class UpstreamError extends Error {
+  constructor({ kind, status = null, message, retryAfterMs = null }) {
+    super(message);
+    this.name = "UpstreamError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
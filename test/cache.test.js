@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCachedValue, invalidateCache, peekCachedValue, refreshCachedValue, setCacheMaxEntries } from "../server/cache.js";
+
+// The cache is module state shared by every test here, so each test uses its own keys.
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("concurrent misses share one loader call", async () => {
+  const pending = deferred();
+  let calls = 0;
+  const loader = () => {
+    calls += 1;
+    return pending.promise;
+  };
+
+  const first = getCachedValue("single-flight", 60000, loader);
+  const second = getCachedValue("single-flight", 60000, loader);
+  pending.resolve("value");
+
+  assert.deepEqual(await Promise.all([first, second]), ["value", "value"]);
+  assert.equal(calls, 1);
+  assert.equal(await getCachedValue("single-flight", 60000, () => assert.fail("fresh entries are not reloaded")), "value");
+});
+
+test("null results and failed loads are not cached", async () => {
+  assert.equal(await getCachedValue("empty", 60000, async () => null), null);
+  assert.equal(peekCachedValue("empty"), undefined);
+
+  await assert.rejects(getCachedValue("failing", 60000, async () => {
+    throw new Error("upstream down");
+  }));
+  assert.equal(peekCachedValue("failing"), undefined);
+  assert.equal(await getCachedValue("failing", 60000, async () => "recovered"), "recovered");
+});
+
+test("stale entries are served while one background refresh runs", async () => {
+  // A zero TTL makes the entry stale straight away while the stale window keeps it servable
+  await getCachedValue("swr", 0, async () => "old", { staleMs: 60000 });
+
+  const refresh = deferred();
+  let calls = 0;
+  const loader = () => {
+    calls += 1;
+    return refresh.promise;
+  };
+  assert.equal(await getCachedValue("swr", 0, loader, { staleMs: 60000 }), "old");
+  assert.equal(await getCachedValue("swr", 0, loader, { staleMs: 60000 }), "old");
+  assert.equal(calls, 1);
+
+  refresh.resolve("new");
+  await tick();
+  assert.equal(peekCachedValue("swr"), "new");
+});
+
+test("a failed background refresh keeps the stale value", async () => {
+  await getCachedValue("swr-failing", 0, async () => "old", { staleMs: 60000 });
+  const value = await getCachedValue("swr-failing", 0, async () => {
+    throw new Error("upstream down");
+  }, { staleMs: 60000 });
+  await tick();
+
+  assert.equal(value, "old");
+  assert.equal(peekCachedValue("swr-failing"), "old");
+});
+
+test("TTL can depend on the loaded value", async () => {
+  await getCachedValue("ttl-fn", (value) => (value.final ? 60000 : 0), async () => ({ final: true }), { staleMs: 0 });
+  assert.deepEqual(await getCachedValue("ttl-fn", 0, () => assert.fail("entry should still be fresh")), { final: true });
+});
+
+test("refreshCachedValue replaces a fresh entry", async () => {
+  await getCachedValue("refresh", 60000, async () => "old");
+  assert.equal(await refreshCachedValue("refresh", 60000, async () => "new"), "new");
+  assert.equal(peekCachedValue("refresh"), "new");
+});
+
+test("a load running when its key is invalidated does not store its value", async () => {
+  const exact = deferred();
+  const exactLoad = getCachedValue("invalidate:one", 60000, () => exact.promise);
+  const prefixed = deferred();
+  const prefixedLoad = getCachedValue("invalidate:prefix:1", 60000, () => prefixed.promise);
+
+  await invalidateCache("invalidate:one");
+  await invalidateCache("invalidate:prefix:*");
+  exact.resolve("before invalidation");
+  prefixed.resolve("before invalidation");
+
+  // Callers that asked before the invalidation still get an answer
+  assert.equal(await exactLoad, "before invalidation");
+  assert.equal(await prefixedLoad, "before invalidation");
+  assert.equal(peekCachedValue("invalidate:one"), undefined);
+  assert.equal(peekCachedValue("invalidate:prefix:1"), undefined);
+
+  // and the next request loads again instead of joining the old load
+  assert.equal(await getCachedValue("invalidate:one", 60000, async () => "after"), "after");
+  assert.equal(peekCachedValue("invalidate:one"), "after");
+});
+
+test("least recently used entries are evicted first", async () => {
+  setCacheMaxEntries(2);
+  try {
+    await invalidateCache("*");
+    await getCachedValue("lru:a", 60000, async () => "a");
+    await getCachedValue("lru:b", 60000, async () => "b");
+    await getCachedValue("lru:a", 60000, async () => "a");
+    await getCachedValue("lru:c", 60000, async () => "c");
+
+    assert.equal(peekCachedValue("lru:a"), "a");
+    assert.equal(peekCachedValue("lru:b"), undefined);
+    assert.equal(peekCachedValue("lru:c"), "c");
+  } finally {
+    setCacheMaxEntries(500);
+  }
+});
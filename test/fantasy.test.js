@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyFantasyScoring, computeFantasyPoints, resolveScoring, SCORING_FORMATS, validateCustomRules } from "../server/fantasy.js";
+
+// 300 yards and 2 TDs passing (12 + 8), one pick (-2), 5 catches for 50 yards and a TD (5 + 6)
+const PLAYER = {
+  name: "Example QB",
+  passingYards: 300,
+  passingTouchdowns: 2,
+  interceptionsThrown: 1,
+  receptions: 5,
+  receivingYards: 50,
+  receivingTouchdowns: 1,
+  rushingYards: null,
+};
+
+test("each format scores the same stat line differently only by receptions", () => {
+  assert.equal(computeFantasyPoints(PLAYER, SCORING_FORMATS.standard.rules), 29);
+  assert.equal(computeFantasyPoints(PLAYER, SCORING_FORMATS.halfPpr.rules), 31.5);
+  assert.equal(computeFantasyPoints(PLAYER, SCORING_FORMATS.ppr.rules), 34);
+});
+
+test("missing stats count as zero and points round to two decimals", () => {
+  assert.equal(computeFantasyPoints({}), 0);
+  assert.equal(computeFantasyPoints({ rushingYards: 7, passingYards: 1 }), 0.74);
+});
+
+test("custom rules must name known stats with bounded numbers", () => {
+  assert.deepEqual(validateCustomRules({ receptions: "0.25", sacks: 1 }), { rules: { receptions: 0.25, sacks: 1 } });
+  assert.match(validateCustomRules({ kickReturns: 1 }).error, /Unknown scoring stat/);
+  assert.match(validateCustomRules({ sacks: 101 }).error, /between -100 and 100/);
+  assert.match(validateCustomRules({ sacks: true }).error, /must be a number/);
+  assert.match(validateCustomRules({ sacks: "" }).error, /must be a number/);
+  assert.ok(validateCustomRules([1, 2]).error);
+});
+
+test("stored preferences resolve to a format, with custom rules layered over Standard", () => {
+  assert.equal(resolveScoring({}).format, "standard");
+  assert.equal(resolveScoring({ fantasyFormat: "dynasty" }).format, "standard");
+  assert.equal(resolveScoring({ fantasyFormat: "ppr" }).label, "PPR");
+
+  const custom = resolveScoring({ fantasyFormat: "custom", fantasyCustomRules: { passingTouchdowns: 6 } });
+  assert.equal(custom.label, "Custom");
+  assert.equal(custom.rules.passingTouchdowns, 6);
+  assert.equal(custom.rules.rushingTouchdowns, 6);
+  assert.equal(computeFantasyPoints(PLAYER, custom.rules), 33);
+
+  // Rules that no longer validate fall back to Standard rather than failing the request
+  assert.deepEqual(resolveScoring({ fantasyFormat: "custom", fantasyCustomRules: { bogus: 1 } }).rules, SCORING_FORMATS.standard.rules);
+});
+
+test("re-scoring returns new player objects and leaves the cached ones alone", () => {
+  const cached = [{ ...PLAYER, fantasyPoints: 29 }];
+  const scored = applyFantasyScoring(cached, SCORING_FORMATS.ppr.rules);
+
+  assert.equal(scored[0].fantasyPoints, 34);
+  assert.equal(cached[0].fantasyPoints, 29);
+  assert.notEqual(scored[0], cached[0]);
+  assert.equal(applyFantasyScoring(null, SCORING_FORMATS.ppr.rules), null);
+});
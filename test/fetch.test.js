@@ -0,0 +1,168 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { configureUpstream, fetchCurrentScoreboard, fetchGameSummary, fetchPlayerProfile, fetchScoreboard, fetchTeamSchedule, fetchTeamStats } from "../server/fetch.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, "fixtures/espn");
+
+// Failed requests log a warning each; keep the test output to the results
+process.env.LOG_LEVEL = "error";
+
+describe("replayed ESPN responses", () => {
+  before(() => {
+    configureUpstream({ mode: "replay", fixturesDir: FIXTURES_DIR });
+  });
+
+  test("team stats parse into the stats table", async () => {
+    const result = await fetchTeamStats(2, 2024, "regular");
+
+    assert.equal(result.ok, true);
+    assert.equal(result.data["Passing Yards"], 3981);
+    assert.equal(result.data["Completion Percentage"], 63.6);
+    assert.equal(result.data["Rushing Touchdowns"], 31);
+    // Empty strings and stats ESPN left out both come back as null
+    assert.equal(result.data.Attempts, null);
+    assert.equal(result.data["Punt Yards"], null);
+  });
+
+  test("schedule rows are normalized and sorted by week", async () => {
+    const result = await fetchTeamSchedule(2, 2024, "regular");
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(
+      result.data.map(({ eventId, week, homeAway, opponent, opponentId, teamScore, opponentScore, channel, completed }) => ({ eventId, week, homeAway, opponent, opponentId, teamScore, opponentScore, channel, completed })),
+      [
+        { eventId: "401671617", week: 1, homeAway: "Home", opponent: "ARI", opponentId: 22, teamScore: 34, opponentScore: 28, channel: "--", completed: true },
+        { eventId: "401671793", week: 2, homeAway: "Away", opponent: "MIA", opponentId: 15, teamScore: 31, opponentScore: 10, channel: "Prime Video", completed: true },
+      ]
+    );
+  });
+
+  test("a request with no recording fails as no_fixture", async () => {
+    const result = await fetchTeamSchedule(2, 2023, "regular");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "no_fixture");
+  });
+
+  test("a scoreboard week that failed to load is null, not an empty week", async () => {
+    assert.equal(await fetchScoreboard(2023, "regular", 1), null);
+  });
+});
+
+// A local stand-in for ESPN. Circuits are per host, and each server gets its own port,
+// so failures in one suite can't open the circuit for another.
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, origin: `http://127.0.0.1:${server.address().port}` };
+}
+
+function stopServer(server) {
+  server.closeAllConnections();
+  server.close();
+}
+
+describe("live ESPN failures", () => {
+  let server;
+  let throttled = 0;
+
+  // Each team id answers the statistics endpoint differently
+  const responses = {
+    2: (res) => res.writeHead(404).end(),
+    3: (res) => res.writeHead(503).end(),
+    4: (res) => res.writeHead(200, { "Content-Type": "application/json" }).end("<html>not json</html>"),
+    5: () => {}, // never answers
+    6: (res) => {
+      throttled += 1;
+      if (throttled === 1) return res.writeHead(429, { "Retry-After": "0" }).end();
+      return res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify({ results: { stats: { categories: [{ name: "passing", stats: [{ name: "passingYards", value: 100 }] }] } } }));
+    },
+  };
+
+  before(async () => {
+    let origin;
+    ({ server, origin } = await startServer((req, res) => {
+      const teamId = req.url.match(/\/teams\/(\d+)\//)?.[1];
+      (responses[teamId] ?? ((r) => r.writeHead(500).end()))(res);
+    }));
+    configureUpstream({ mode: "live", origin, timeoutMs: 200, retries: 0 });
+  });
+
+  after(() => stopServer(server));
+
+  test("404 means ESPN has nothing, not a failure", async () => {
+    assert.deepEqual(await fetchTeamStats(2, 2024, "regular"), { ok: true, data: null });
+  });
+
+  test("5xx fails as server_error with its status", async () => {
+    const result = await fetchTeamStats(3, 2024, "regular");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "server_error");
+    assert.equal(result.error.status, 503);
+  });
+
+  test("a body that is not JSON fails as invalid_body", async () => {
+    const result = await fetchTeamStats(4, 2024, "regular");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "invalid_body");
+  });
+
+  test("no answer within the timeout fails as timeout", async () => {
+    const result = await fetchTeamStats(5, 2024, "regular");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "timeout");
+  });
+
+  test("a 429 is retried after Retry-After", async () => {
+    configureUpstream({ retries: 1 });
+    try {
+      const result = await fetchTeamStats(6, 2024, "regular");
+
+      assert.equal(result.ok, true);
+      assert.equal(result.data["Passing Yards"], 100);
+      assert.equal(throttled, 2);
+    } finally {
+      configureUpstream({ retries: 0 });
+    }
+  });
+});
+
+describe("live ESPN outages", () => {
+  let server;
+
+  before(async () => {
+    let origin;
+    ({ server, origin } = await startServer((req, res) => res.writeHead(503).end()));
+    configureUpstream({ mode: "live", origin, timeoutMs: 200, retries: 0 });
+  });
+
+  after(() => stopServer(server));
+
+  test("the current scoreboard passes the failure through instead of reading as no games", async () => {
+    const result = await fetchCurrentScoreboard();
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "server_error");
+  });
+
+  test("a game summary passes the failure through instead of reading as no game", async () => {
+    const result = await fetchGameSummary("401671793");
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "server_error");
+  });
+
+  test("a player profile fails as a whole instead of reading as no player", async () => {
+    const result = await fetchPlayerProfile("3139477", { season: 2024 });
+
+    assert.equal(result.ok, false);
+    assert.equal(result.error.kind, "server_error");
+  });
+});
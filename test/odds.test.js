@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getTeamOdds, impliedProbability, joinOddsToSchedule, normalizeOddsLine, oddsForSide, registerOddsProvider, removeVig } from "../server/odds/odds.js";
+
+const RAW_LINE = {
+  eventId: 401671793,
+  homeTeamId: "15",
+  awayTeamId: "2",
+  bookmaker: "Example Book",
+  updatedAt: "2024-09-12T12:00:00Z",
+  moneyline: { home: 130, away: -150 },
+  spread: { home: "+3", homePrice: -105, awayPrice: -115 },
+  total: { points: "48.5" },
+};
+
+test("implied probability of American odds includes the vig", () => {
+  assert.equal(impliedProbability(-150), 0.6);
+  assert.equal(impliedProbability(150), 0.4);
+  assert.equal(impliedProbability("+100"), 0.5);
+  assert.equal(impliedProbability(0), null);
+  assert.equal(impliedProbability("pick"), null);
+});
+
+test("removing the vig scales both sides to sum to 1", () => {
+  assert.deepEqual(removeVig(-110, -110), { a: 0.5, b: 0.5, vig: 0.0476 });
+
+  const fair = removeVig(-150, 130);
+  assert.ok(Math.abs(fair.a + fair.b - 1) < 0.001);
+  assert.ok(fair.a > 0.5);
+  assert.equal(removeVig(-150, null), null);
+});
+
+test("raw lines are normalized from the home side, with -110 as the default price", () => {
+  const line = normalizeOddsLine(RAW_LINE);
+
+  assert.equal(line.eventId, "401671793");
+  assert.equal(line.homeTeamId, 15);
+  assert.equal(line.awayTeamId, 2);
+  assert.deepEqual(line.moneyline, { home: 130, away: -150 });
+  assert.deepEqual(line.spread, { home: 3, away: -3, homePrice: -105, awayPrice: -115 });
+  assert.deepEqual(line.total, { points: 48.5, overPrice: -110, underPrice: -110 });
+  assert.deepEqual(line.impliedWinProbability, { home: 0.4202, away: 0.5798 });
+  assert.equal(line.vig, 0.0348);
+});
+
+test("lines without an event id are dropped and missing markets stay null", () => {
+  assert.equal(normalizeOddsLine({ moneyline: { home: -110, away: -110 } }), null);
+
+  const line = normalizeOddsLine({ eventId: "1" });
+  assert.deepEqual(line.moneyline, { home: null, away: null });
+  assert.equal(line.spread.home, null);
+  assert.equal(line.spread.away, null);
+  assert.equal(line.impliedWinProbability, null);
+  assert.equal(line.vig, null);
+});
+
+test("a line seen from the away side flips the spread and win probability", () => {
+  const away = oddsForSide(normalizeOddsLine(RAW_LINE), "Away");
+
+  assert.equal(away.moneyline, -150);
+  assert.equal(away.spread, -3);
+  assert.equal(away.spreadPrice, -115);
+  assert.equal(away.winProbability, 0.5798);
+  assert.equal(away.opponentWinProbability, 0.4202);
+  assert.equal(oddsForSide(null, "Home"), null);
+});
+
+test("provider lines are joined onto schedule rows and listed per team", async () => {
+  registerOddsProvider("test", () => ({ name: "test", fetchOdds: async () => [RAW_LINE, { bookmaker: "no event id" }] }));
+  const previous = process.env.ODDS_PROVIDER;
+  process.env.ODDS_PROVIDER = "test";
+  try {
+    const schedule = await joinOddsToSchedule([
+      { eventId: "401671793", homeAway: "Away" },
+      { eventId: "401671617", homeAway: "Home" },
+    ]);
+    assert.equal(schedule[0].odds.spread, -3);
+    assert.equal(schedule[1].odds, null);
+
+    assert.deepEqual((await getTeamOdds(2)).map((line) => line.eventId), ["401671793"]);
+    assert.deepEqual(await getTeamOdds(22), []);
+  } finally {
+    if (previous === undefined) delete process.env.ODDS_PROVIDER;
+    else process.env.ODDS_PROVIDER = previous;
+  }
+});
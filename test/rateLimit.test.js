@@ -0,0 +1,118 @@
+import { after, afterEach, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createMemoryRateLimitStore, hitRateLimit, rateLimit, setRateLimitStore } from "../server/rateLimit.js";
+
+const WINDOW_MS = 1000 * 60;
+const LIMIT = { windowMs: WINDOW_MS, max: 3 };
+// The start of a fixed window, so tests control how far into it each request lands
+const WINDOW_START = WINDOW_MS * 1000;
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["Date"], now: WINDOW_START });
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  setRateLimitStore(null);
+});
+
+async function hitTimes(key, count) {
+  const results = [];
+  for (let i = 0; i < count; i += 1) results.push(await hitRateLimit("test", key, LIMIT));
+  return results;
+}
+
+test("requests are allowed up to max, then blocked for the rest of the window", async () => {
+  const results = await hitTimes("client", 4);
+
+  assert.deepEqual(results.map((result) => result.remaining), [2, 1, 0, 0]);
+  assert.deepEqual(results.map((result) => result.allowed), [true, true, true, false]);
+  assert.equal(results[3].retryAfterMs, WINDOW_MS);
+  assert.equal(results[3].limit, 3);
+});
+
+test("keys and limiters are counted separately", async () => {
+  await hitTimes("client", 3);
+
+  assert.equal((await hitRateLimit("test", "other", LIMIT)).allowed, true);
+  assert.equal((await hitRateLimit("other-limiter", "client", LIMIT)).allowed, true);
+});
+
+test("the previous window counts for the share of it still in range", async () => {
+  await hitTimes("early", 3);
+  await hitTimes("late", 3);
+
+  // 15s into the next window, 3 * 0.75 + 1 = 3.25 is over; it drops to 3 at 20s
+  mock.timers.tick(WINDOW_MS + 1000 * 15);
+  const early = await hitRateLimit("test", "early", LIMIT);
+  assert.equal(early.allowed, false);
+  assert.equal(Math.round(early.retryAfterMs), 1000 * 5);
+
+  // 30s in, 3 * 0.5 + 1 = 2.5
+  mock.timers.tick(1000 * 15);
+  const late = await hitRateLimit("test", "late", LIMIT);
+  assert.equal(late.allowed, true);
+  assert.equal(late.remaining, 0);
+});
+
+test("a window two windows back no longer counts", async () => {
+  await hitTimes("client", 4);
+
+  mock.timers.tick(WINDOW_MS * 2);
+  assert.deepEqual(await hitRateLimit("test", "client", LIMIT), { allowed: true, limit: 3, remaining: 2, retryAfterMs: 0 });
+});
+
+describe("rateLimit middleware", () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    const app = express();
+    app.get("/limited", rateLimit({ name: "route", ...LIMIT, key: (req) => req.get("X-Client"), message: "Slow down." }), (req, res) => res.json({ ok: true }));
+    await new Promise((resolve) => {
+      server = app.listen(0, "127.0.0.1", resolve);
+    });
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const get = (client) => fetch(`${origin}/limited`, { headers: client ? { "X-Client": client } : {} });
+
+  test("over the limit answers 429 with Retry-After and the limit headers", async () => {
+    for (let i = 0; i < 3; i += 1) assert.equal((await get("a")).status, 200);
+    const res = await get("a");
+
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get("Retry-After"), "60");
+    assert.equal(res.headers.get("RateLimit-Limit"), "3");
+    assert.equal(res.headers.get("RateLimit-Remaining"), "0");
+    assert.deepEqual(await res.json(), { error: "Slow down. Try again in 60 seconds.", retryAfter: 60 });
+  });
+
+  test("requests without a key skip the limiter", async () => {
+    for (let i = 0; i < 4; i += 1) {
+      const res = await get(null);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("RateLimit-Limit"), null);
+    }
+  });
+
+  test("a failing store lets requests through", async () => {
+    setRateLimitStore({
+      increment: async () => {
+        throw new Error("store is down");
+      },
+      get: async () => 0,
+    });
+    const res = await get("a");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("RateLimit-Limit"), null);
+  });
+});
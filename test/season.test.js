@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { defaultSeasonQuery, getCurrentSeason, parseSeasonQuery } from "../server/season.js";
+
+test("requests without a season get the current regular season, even in the playoffs", () => {
+  const playoffs = new Date("2026-01-20T00:00:00Z");
+
+  assert.deepEqual(getCurrentSeason(playoffs), { season: 2025, seasonType: "post" });
+  assert.deepEqual(defaultSeasonQuery(playoffs), { season: 2025, seasonType: "regular" });
+  assert.deepEqual(parseSeasonQuery({}, playoffs), defaultSeasonQuery(playoffs));
+  assert.deepEqual(parseSeasonQuery({ seasonType: "post" }, playoffs), { season: 2025, seasonType: "post" });
+});
+
+test("seasons outside the supported range are rejected", () => {
+  const date = new Date("2026-10-19T00:00:00Z");
+
+  assert.ok(parseSeasonQuery({ season: "2001" }, date).error);
+  assert.ok(parseSeasonQuery({ season: "2027" }, date).error);
+  assert.ok(parseSeasonQuery({ seasonType: "playoffs" }, date).error);
+});
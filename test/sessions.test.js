@@ -0,0 +1,116 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { closeDB, connectDB, getDB } from "../server/db.js";
+import {
+  classifyStaleRefresh,
+  createSession,
+  describeDevice,
+  getActiveSession,
+  refreshSession,
+  revokeAllSessions,
+  SESSIONS_COLLECTION,
+} from "../server/sessions.js";
+
+process.env.LOG_LEVEL = "error";
+
+const hash = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// A session rotated from "first" to "second" to "third" at `rotatedAt`
+function rotatedSession(rotatedAt, overrides = {}) {
+  return {
+    refreshHash: hash("third"),
+    previousHash: hash("second"),
+    rotatedAt,
+    retiredHashes: [hash("first"), hash("second")],
+    expiresAt: new Date(rotatedAt.getTime() + 1000 * 60 * 60),
+    revokedAt: null,
+    ...overrides,
+  };
+}
+
+test("sessions are labelled by browser and OS", () => {
+  assert.equal(describeDevice("Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/126.0 Safari/537.36"), "Chrome on Windows");
+  assert.equal(describeDevice("Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile Safari/604.1"), "Safari on iOS");
+  assert.equal(describeDevice("Mozilla/5.0 (X11; Linux x86_64)"), "Browser on Linux");
+  assert.equal(describeDevice("curl/8.5.0"), "Unknown device");
+  assert.equal(describeDevice(undefined), "Unknown device");
+});
+
+test("the token rotated away moments ago is still accepted", () => {
+  const rotatedAt = new Date("2024-09-12T12:00:00Z");
+  const session = rotatedSession(rotatedAt);
+
+  assert.equal(classifyStaleRefresh(session, "second", new Date(rotatedAt.getTime() + 1000 * 30)), "grace");
+  assert.equal(classifyStaleRefresh(session, "second", new Date(rotatedAt.getTime() + 1000 * 31)), "reuse");
+});
+
+test("an older retired token is reuse, even inside the grace window", () => {
+  const rotatedAt = new Date("2024-09-12T12:00:00Z");
+
+  assert.equal(classifyStaleRefresh(rotatedSession(rotatedAt), "first", rotatedAt), "reuse");
+});
+
+test("unknown tokens and ended sessions are rejected without revoking anything", () => {
+  const rotatedAt = new Date("2024-09-12T12:00:00Z");
+  const later = new Date(rotatedAt.getTime() + 1000 * 60 * 60);
+
+  assert.equal(classifyStaleRefresh(rotatedSession(rotatedAt), "guessed", rotatedAt), null);
+  assert.equal(classifyStaleRefresh(rotatedSession(rotatedAt, { revokedAt: rotatedAt }), "second", rotatedAt), null);
+  assert.equal(classifyStaleRefresh(rotatedSession(rotatedAt), "first", later), null);
+  assert.equal(classifyStaleRefresh(null, "first", rotatedAt), null);
+});
+
+// Runs against a real Mongo; point MONGODB_TEST_URI at a throwaway server, never a shared one
+describe("sessions in Mongo", { skip: !process.env.MONGODB_TEST_URI && "MONGODB_TEST_URI is not set" }, () => {
+  const user = { _id: `test-user-${process.pid}`, username: "session-tests" };
+  const sessions = () => getDB().collection(SESSIONS_COLLECTION);
+  const sessionIdOf = (refreshToken) => refreshToken.split(".")[0];
+
+  before(async () => {
+    process.env.MONGODB_URI = process.env.MONGODB_TEST_URI;
+    process.env.MONGODB_DBNAME = "playbooknews_test";
+    process.env.JWT_SECRET ??= "test-secret";
+    await connectDB();
+  });
+
+  after(async () => {
+    await sessions().deleteMany({ userId: user._id });
+    await closeDB();
+  });
+
+  test("refreshing rotates the token and the old one works only within the grace window", async () => {
+    const { refreshToken: first } = await createSession(user, { userAgent: "curl/8.5.0" });
+    const rotated = await refreshSession(first);
+
+    assert.ok(rotated.accessToken);
+    assert.equal(sessionIdOf(rotated.refreshToken), sessionIdOf(first));
+    assert.notEqual(rotated.refreshToken, first);
+
+    const racing = await refreshSession(first);
+    assert.ok(racing.accessToken);
+    assert.equal(racing.refreshToken, null);
+  });
+
+  test("replaying a retired token after the grace window revokes the whole session", async () => {
+    const { refreshToken: first } = await createSession(user);
+    const { session, refreshToken: second } = await refreshSession(first);
+    const sessionId = sessionIdOf(first);
+    await sessions().updateOne({ _id: session._id }, { $set: { rotatedAt: new Date(Date.now() - 1000 * 60) } });
+
+    assert.equal(await refreshSession(first), null);
+    assert.equal(await refreshSession(second), null);
+    assert.equal((await sessions().findOne({ userId: user._id, revokedReason: "reuse" }))?._id.toString(), sessionId);
+    assert.equal(await getActiveSession(sessionId), null);
+  });
+
+  test("signing out everywhere can keep the current session", async () => {
+    await sessions().deleteMany({ userId: user._id });
+    const current = sessionIdOf((await createSession(user)).refreshToken);
+    const other = await createSession(user);
+
+    assert.equal(await revokeAllSessions(user._id, "signout-all", { except: current }), 1);
+    assert.ok(await getActiveSession(current));
+    assert.equal(await refreshSession(other.refreshToken), null);
+  });
+});
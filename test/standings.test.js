@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDivisionTables, computeStandings } from "../server/standings.js";
+
+// Four AFC East clubs plus one AFC North club for non-division games
+const TEAMS = [
+  { key: "A", id: 1, name: "Team A", conference: "AFC", division: "East" },
+  { key: "B", id: 2, name: "Team B", conference: "AFC", division: "East" },
+  { key: "C", id: 3, name: "Team C", conference: "AFC", division: "East" },
+  { key: "D", id: 4, name: "Team D", conference: "AFC", division: "East" },
+  { key: "E", id: 5, name: "Team E", conference: "AFC", division: "North" },
+];
+
+let day = 0;
+function game(homeId, homeScore, awayId, awayScore, { completed = true } = {}) {
+  day += 1;
+  return {
+    completed,
+    dateTime: new Date(Date.UTC(2024, 8, day)).toISOString(),
+    home: { id: homeId, score: homeScore, abbreviation: `T${homeId}` },
+    away: { id: awayId, score: awayScore, abbreviation: `T${awayId}` },
+  };
+}
+
+function afcEast(games) {
+  const east = buildDivisionTables(TEAMS, games).find((division) => division.name === "AFC East");
+  return east.teams.map(({ key, place, record, tiebreaker }) => ({ key, place, record, tiebreaker }));
+}
+
+test("records count only completed games, with ties, points and split records", () => {
+  const table = computeStandings(TEAMS, [
+    game(1, 24, 2, 17),
+    game(1, 20, 5, 20),
+    game(3, 10, 1, 7, { completed: false }),
+  ]);
+  const a = table.get(1);
+
+  assert.deepEqual({ wins: a.wins, losses: a.losses, ties: a.ties }, { wins: 1, losses: 0, ties: 1 });
+  assert.deepEqual(a.divisionGames, { wins: 1, losses: 0, ties: 0 });
+  assert.deepEqual(a.conferenceGames, { wins: 1, losses: 0, ties: 1 });
+  assert.equal(a.pointsFor, 44);
+  assert.equal(a.pointsAgainst, 37);
+  assert.equal(table.get(3).wins + table.get(3).losses, 0);
+});
+
+test("head-to-head decides a two-way tie first", () => {
+  // A 1-0; B and C both 1-1, and B beat C
+  const rows = afcEast([game(1, 21, 2, 14), game(2, 30, 3, 3), game(3, 17, 4, 10)]);
+
+  assert.deepEqual(rows.slice(0, 3), [
+    { key: "A", place: 1, record: "1-0", tiebreaker: null },
+    { key: "B", place: 2, record: "1-1", tiebreaker: "head-to-head" },
+    { key: "C", place: 3, record: "1-1", tiebreaker: null },
+  ]);
+});
+
+test("division record breaks a tie between teams that have not met", () => {
+  // A and B are both 1-0, but only A's win came inside the division
+  const rows = afcEast([game(1, 21, 3, 14), game(2, 28, 5, 7)]);
+
+  assert.deepEqual(rows.slice(0, 2), [
+    { key: "A", place: 1, record: "1-0", tiebreaker: "division record" },
+    { key: "B", place: 2, record: "1-0", tiebreaker: null },
+  ]);
+});
+
+test("net points settle a tie only when every earlier step is level", () => {
+  // A and B beat the same opponent (E) by different margins and have no other games
+  const rows = afcEast([game(1, 40, 5, 0), game(2, 14, 5, 10)]);
+
+  assert.deepEqual(rows.slice(0, 2), [
+    { key: "A", place: 1, record: "1-0", tiebreaker: "net points" },
+    { key: "B", place: 2, record: "1-0", tiebreaker: null },
+  ]);
+});
+
+test("teams that are level on everything are ordered by key as a coin toss", () => {
+  assert.deepEqual(afcEast([]), [
+    { key: "A", place: 1, record: "0-0", tiebreaker: "coin toss" },
+    { key: "B", place: 2, record: "0-0", tiebreaker: "coin toss" },
+    { key: "C", place: 3, record: "0-0", tiebreaker: "coin toss" },
+    { key: "D", place: 4, record: "0-0", tiebreaker: null },
+  ]);
+});